@@ -7,19 +7,60 @@
  */
 
 (() => {
-  const socket = io();
+  // Connected once the translations have loaded (see the end of this file)
+  const socket = io({ autoConnect: false });
   // DOM element references
   const joinScreen = document.getElementById('joinScreen');
   const waitingScreen = document.getElementById('waitingScreen');
   const gameScreen = document.getElementById('gameScreen');
   const nameInput = document.getElementById('nameInput');
+  const joinCodeInput = document.getElementById('joinCodeInput');
   const joinButton = document.getElementById('joinButton');
   const joinError = document.getElementById('joinError');
+  const lobbyScreen = document.getElementById('lobbyScreen');
+  const lobbyMessage = document.getElementById('lobbyMessage');
+  const roomListEl = document.getElementById('roomList');
+  const roomCodeInput = document.getElementById('roomCodeInput');
+  const roomPasswordInput = document.getElementById('roomPasswordInput');
+  const privateCheckbox = document.getElementById('privateCheckbox');
+  const createPasswordInput = document.getElementById('createPasswordInput');
+  const inviteLinkInput = document.getElementById('inviteLinkInput');
+  const copyInviteButton = document.getElementById('copyInviteButton');
+  const joinRoomButton = document.getElementById('joinRoomButton');
+  const createRoomButton = document.getElementById('createRoomButton');
+  const lobbyError = document.getElementById('lobbyError');
+  const nameSuggestions = document.getElementById('nameSuggestions');
+  const roomLabel = document.getElementById('roomLabel');
+  const leaveRoomButton = document.getElementById('leaveRoomButton');
+  const roomRulesEl = document.getElementById('roomRules');
+  const rulesSelect = document.getElementById('rulesSelect');
+  const customRules = document.getElementById('customRules');
+  const targetSelect = document.getElementById('targetSelect');
+  const transferCheckbox = document.getElementById('transferCheckbox');
+  const settingsSummary = document.getElementById('settingsSummary');
+  const settingsPanel = document.getElementById('settingsPanel');
+  const modeSelect = document.getElementById('modeSelect');
+  const maxRoundsField = document.getElementById('maxRoundsField');
+  const targetScoreField = document.getElementById('targetScoreField');
+  const maxRoundsInput = document.getElementById('maxRoundsInput');
+  const targetScoreInput = document.getElementById('targetScoreInput');
+  const autoAdvanceCheckbox = document.getElementById('autoAdvanceCheckbox');
+  const advanceDelayInput = document.getElementById('advanceDelayInput');
+  const resultDisplayInput = document.getElementById('resultDisplayInput');
+  const guessTimeoutInput = document.getElementById('guessTimeoutInput');
+  const timeoutOutcomeSelect = document.getElementById('timeoutOutcomeSelect');
+  const substituteScoreSelect = document.getElementById('substituteScoreSelect');
+  const turnTimer = document.getElementById('turnTimer');
+  const saveSettingsButton = document.getElementById('saveSettingsButton');
+  const settingsError = document.getElementById('settingsError');
   const waitingList = document.getElementById('waitingList');
   const waitingMessage = document.getElementById('waitingMessage');
   const shuffleButton = document.getElementById('shuffleButton');
   const nextShuffleButton = document.getElementById('nextShuffleButton');
+  const hostPauseButton = document.getElementById('hostPauseButton');
   const restartButton = document.getElementById('restartButton');
+  const declineRematchButton = document.getElementById('declineRematchButton');
+  const rematchStatus = document.getElementById('rematchStatus');
   const roundLabel = document.getElementById('roundLabel');
   const playerInfo = document.getElementById('playerInfo');
   const scoreboardEl = document.getElementById('scoreboard');
@@ -30,10 +71,132 @@
   const historyContainer = document.getElementById('historyContainer');
   const historyTable = document.getElementById('historyTable');
   const overlay = document.getElementById('overlay');
+  const chatPanel = document.getElementById('chatPanel');
+  const chatLog = document.getElementById('chatLog');
+  const emoteBar = document.getElementById('emoteBar');
+  const chatInput = document.getElementById('chatInput');
+  const chatSendButton = document.getElementById('chatSendButton');
+  const chatError = document.getElementById('chatError');
+  const muteChatCheckbox = document.getElementById('muteChatCheckbox');
+  const teamsCheckbox = document.getElementById('teamsCheckbox');
+  const profileButton = document.getElementById('profileButton');
+  const profileScreen = document.getElementById('profileScreen');
+  const profileNameEl = document.getElementById('profileName');
+  const profileTable = document.getElementById('profileTable');
+  const profileBackButton = document.getElementById('profileBackButton');
+  const leaderboardButton = document.getElementById('leaderboardButton');
+  const leaderboardScreen = document.getElementById('leaderboardScreen');
+  const periodSelect = document.getElementById('periodSelect');
+  const metricSelect = document.getElementById('metricSelect');
+  const leaderboardTable = document.getElementById('leaderboardTable');
+  const prevPageButton = document.getElementById('prevPageButton');
+  const nextPageButton = document.getElementById('nextPageButton');
+  const pageLabel = document.getElementById('pageLabel');
+  const leaderboardError = document.getElementById('leaderboardError');
+  const leaderboardBackButton = document.getElementById('leaderboardBackButton');
+  const botControls = document.getElementById('botControls');
+  const botStrategySelect = document.getElementById('botStrategySelect');
+  const addBotButton = document.getElementById('addBotButton');
+  const botError = document.getElementById('botError');
+  const spectatorInfo = document.getElementById('spectatorInfo');
+  const seedInput = document.getElementById('seedInput');
+  const dealCheck = document.getElementById('dealCheck');
+  const gameOverActions = document.getElementById('gameOverActions');
+  const downloadJsonLink = document.getElementById('downloadJsonLink');
+  const downloadCsvLink = document.getElementById('downloadCsvLink');
+  const replayButton = document.getElementById('replayButton');
+  const replayControls = document.getElementById('replayControls');
+  const replayPrevButton = document.getElementById('replayPrevButton');
+  const replayNextButton = document.getElementById('replayNextButton');
+  const replayLabel = document.getElementById('replayLabel');
+  const replayExitButton = document.getElementById('replayExitButton');
+  const tournamentListEl = document.getElementById('tournamentList');
+  const tournamentNameInput = document.getElementById('tournamentNameInput');
+  const advanceSelect = document.getElementById('advanceSelect');
+  const tournamentRoundsInput = document.getElementById('tournamentRoundsInput');
+  const createTournamentButton = document.getElementById('createTournamentButton');
+  const bracketPanel = document.getElementById('bracketPanel');
+  const bracketTitle = document.getElementById('bracketTitle');
+  const bracketStatus = document.getElementById('bracketStatus');
+  const bracketStages = document.getElementById('bracketStages');
+  const startTournamentButton = document.getElementById('startTournamentButton');
+  const leaveTournamentButton = document.getElementById('leaveTournamentButton');
+  const bracketError = document.getElementById('bracketError');
+  const announcement = document.getElementById('announcement');
+  const announcementText = document.getElementById('announcementText');
+  const announcementClose = document.getElementById('announcementClose');
+
+  // Key under which the session token is kept so a reload or dropped
+  // connection can resume the same seat.
+  const SESSION_KEY = 'chorSession';
+  // Key under which the secret of this browser's lifetime profile is kept
+  const PROFILE_KEY = 'chorProfile';
+  // Key under which the language a player picked is remembered
+  const LANG_KEY = 'chorLang';
+  // Quick emotes offered under the chat; the server accepts only these keys
+  const EMOTES = ['notMe', 'iAmBabu', 'trustMe', 'suspicious'];
+  // Chat messages kept on screen, matching what the server keeps per table
+  const CHAT_HISTORY = 50;
 
   // State variables
   let myId = null;
   let myName = '';
+  // Join code of the room (table) this client sits in, if any
+  let myRoom = null;
+  // Whether that room is private (kept out of the lobby list)
+  let myRoomPrivate = false;
+  // Table code from an invite link (/?room=ABCD)
+  const invitedCode = (new URLSearchParams(window.location.search).get('room') || '').trim().toUpperCase();
+  // Latest room summaries received from the lobby
+  let roomList = [];
+  // Rule presets offered by the server for new tables
+  let rulePresets = [];
+  // Rules of the table this client sits in
+  let myRules = null;
+  // Settings of the table this client sits in, and who may change them
+  let roomSettings = null;
+  let hostId = null;
+  // Whether the host has typed in the seed field since it was last filled
+  let seedEdited = false;
+  // Whether the host has paused the game
+  let hostPaused = false;
+  // Police countdown: interval handle and the local deadline it counts to
+  let turnTimerInterval = null;
+  let turnDeadline = 0;
+  // Rematch vote of the finished game as last sent by the server, and the
+  // interval and local deadline of its countdown
+  let rematchVote = null;
+  let rematchInterval = null;
+  let rematchDeadline = 0;
+  // Chat messages of the current table, and whether the Police is deciding
+  // (chat may be muted then)
+  let chatMessages = [];
+  let policeDeciding = false;
+  // Lifetime statistics last received for this player's profile
+  let myProfile = null;
+  // Leaderboard page currently shown, and the last page of results received
+  let leaderboardPage = 1;
+  let leaderboardData = null;
+  const LEADERBOARD_PAGE_SIZE = 20;
+  // Members waiting at the table ({ id, name, bot }), as last sent by the server
+  let waitingPlayers = [];
+  // True while watching a game without a seat, and how many are watching
+  let spectating = false;
+  let spectatorCount = 0;
+  // Hash of the current round's deal seed, published when roles are dealt
+  let seedHash = null;
+  // Replay of a finished game: its rounds, the step shown, and the live
+  // table state to restore when the replay is closed
+  let gameId = null;
+  let replaySteps = null;
+  let replayIndex = 0;
+  let liveState = null;
+  // Tournaments listed in the lobby, and the bracket of the one this client
+  // is entered in or following, as last sent by the server
+  let tournamentList = [];
+  let bracket = null;
+  // Whether this client's table is playing on to break a tournament tie
+  let tieBreak = false;
   let currentRole = '';
   let currentRound = 0;
   let maxRounds = 10;
@@ -42,81 +205,20 @@
   // Record of points gained in the most recent round.  Used to highlight
   // scoreboard rows when a player scores points.
   let lastGains = {};
-  // Current language (default English).  Updated via the language select.
+  // Languages the page is translated into, in the order of the language
+  // select.  Each has a bundle at i18n/<code>.json holding its strings, its
+  // `errors` (by acknowledgement code) and `roles`, plus `meta` with the
+  // locale used to format numbers and the writing direction.  A string may
+  // be an object of plural forms ({ one, other, … }) chosen by its `n`.
+  const LANGUAGES = ['en', 'bn', 'hi', 'ur'];
+  // Current language.  Chosen by detectLanguage() and the language select.
   let lang = 'en';
+  // Loaded bundles by language code.  English is always loaded, as the
+  // fallback for strings another bundle lacks.
+  const translations = {};
 
-  // Translation dictionaries.  Strings that include dynamic data are
-  // assembled in code using these fragments.  Bengali translations are
-  // provided in Unicode.
-  const translations = {
-    en: {
-      title: 'Chor–Dakat–Babu–Police',
-      enterName: 'Enter your name to join the game.',
-      joinGame: 'Join Game',
-      waitingRoom: 'Waiting Room',
-      waitingForPlayers: 'Waiting for players to join…',
-      shuffleStart: 'Shuffle & Start Round',
-      shuffleNext: 'Shuffle for Next Round',
-      scoreboard: 'Scoreboard',
-      roundHistory: 'Round History',
-      round: 'Round',
-      of: 'of',
-      name: 'Name',
-      role: 'Role',
-      score: 'Score',
-      total: 'Total',
-      yourName: 'Your Name',
-      yourRole: 'Your Role',
-      waitingForPolice: 'Waiting for Police to guess…',
-      policeChoose: 'Police: Choose who you think is ',
-      gameOver: 'Game Over!',
-      winners: 'Winners: ',
-      aPlayerLeft: 'A player left. Waiting for new players…',
-      language: 'Language:'
-      ,correctChor: '{police} guessed correctly: {player} is the Chor.',
-      incorrectChor: '{police} guessed incorrectly. {chor} was the Chor, and {dakat} was the Dakat.',
-      correctDakat: '{police} guessed correctly: {player} is the Dakat.',
-      incorrectDakat: '{police} guessed incorrectly. {dakat} was the Dakat, and {chor} was the Chor.'
-      ,restartGame: 'Restart Game'
-    },
-    bn: {
-      title: 'চোর-ডাকাত-বাবু-পুলিশ',
-      enterName: 'গেমে যোগ দিতে আপনার নাম লিখুন।',
-      joinGame: 'গেমে যোগ দিন',
-      waitingRoom: 'প্রতীক্ষালয়',
-      waitingForPlayers: 'খেলোয়াড়দের যোগ দেওয়ার জন্য অপেক্ষা করা হচ্ছে…',
-      shuffleStart: 'শাফল করুন ও রাউন্ড শুরু করুন',
-      shuffleNext: 'পরবর্তী রাউন্ডের জন্য শাফল করুন',
-      scoreboard: 'স্কোরবোর্ড',
-      roundHistory: 'রাউন্ড ইতিহাস',
-      round: 'রাউন্ড',
-      of: 'এর',
-      name: 'নাম',
-      role: 'ভূমিকা',
-      score: 'স্কোর',
-      total: 'মোট',
-      yourName: 'আপনার নাম',
-      yourRole: 'আপনার ভূমিকা',
-      waitingForPolice: 'পুলিশের অনুমানের জন্য অপেক্ষা করা হচ্ছে…',
-      policeChoose: 'পুলিশ: যাকে আপনি মনে করছেন তিনি হল ',
-      gameOver: 'গেম শেষ!',
-      winners: 'জয়ী: ',
-      aPlayerLeft: 'একজন খেলোয়াড় চলে গেছে। নতুন খেলোয়াড়দের জন্য অপেক্ষা…',
-      language: 'ভাষা:'
-      ,correctChor: '{police} সঠিকভাবে অনুমান করেছেন: {player} চোর।',
-      incorrectChor: '{police} ভুল অনুমান করেছেন। {chor} ছিল চোর, এবং {dakat} ছিল ডাকাত।',
-      correctDakat: '{police} সঠিকভাবে অনুমান করেছেন: {player} ডাকাত।',
-      incorrectDakat: '{police} ভুল অনুমান করেছেন। {dakat} ছিল ডাকাত, এবং {chor} ছিল চোর।'
-      ,restartGame: 'পুনরায় শুরু করুন'
-    }
-  };
-
-  // Role translations and emojis for display.  These objects map the
-  // canonical English role names to a language‑specific label and emoji.
-  const roleTranslations = {
-    en: { Babu: 'Babu', Police: 'Police', Chor: 'Chor', Dakat: 'Dakat' },
-    bn: { Babu: 'বাবু', Police: 'পুলিশ', Chor: 'চোর', Dakat: 'ডাকাত' }
-  };
+  // Role emojis for display, keyed by the canonical English role names.
+  // Translated role names come from the bundles (see roleName()).
   const roleEmojis = {
     Babu: '👑',
     Police: '👮',
@@ -181,10 +283,89 @@
     }
   }
 
-  // Translation helper
-  function t(key) {
-    const map = translations[lang] || translations.en;
-    return map[key] || key;
+  // Fetch a language's bundle, once
+  function loadBundle(code) {
+    if (translations[code]) return Promise.resolve(translations[code]);
+    return fetch(`/i18n/${code}.json`)
+      .then(res => {
+        if (!res.ok) throw new Error(res.statusText);
+        return res.json();
+      })
+      .then(data => {
+        translations[code] = data;
+        return data;
+      });
+  }
+
+  // The language a player picked before, else the first of the browser's
+  // preferred languages the page is translated into, else English
+  function detectLanguage() {
+    const saved = localStorage.getItem(LANG_KEY);
+    if (LANGUAGES.includes(saved)) return saved;
+    const preferred = navigator.languages || [navigator.language];
+    const match = preferred
+      .map(tag => String(tag).toLowerCase().split('-')[0])
+      .find(code => LANGUAGES.includes(code));
+    return match || 'en';
+  }
+
+  // The current language's bundle, falling back to English
+  function bundle() {
+    return translations[lang] || translations.en || {};
+  }
+
+  function locale() {
+    return (bundle().meta || {}).locale || 'en';
+  }
+
+  // A number written in the current language's digits (Bengali numerals
+  // in Bengali).  Anything else is returned as text unchanged.
+  function formatNumber(value) {
+    if (typeof value !== 'number') return String(value);
+    return new Intl.NumberFormat(locale()).format(value);
+  }
+
+  // A fraction from 0 to 1 as a whole percentage, e.g. "75%"
+  function formatPercent(value) {
+    return new Intl.NumberFormat(locale(), { style: 'percent' }).format(value);
+  }
+
+  /**
+   * Translated text for a key.  `{name}` placeholders are filled from
+   * params, with numbers formatted for the language; a string with plural
+   * forms is picked by `params.n`.  Strings missing from the current
+   * bundle fall back to English, then to the key itself.
+   *
+   * @param {string} key
+   * @param {object} [params]
+   * @returns {string}
+   */
+  function t(key, params = {}) {
+    let text = key in bundle() ? bundle()[key] : (translations.en || {})[key];
+    if (text === undefined) return key;
+    if (typeof text === 'object') {
+      text = text[new Intl.PluralRules(locale()).select(params.n)] || text.other;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? formatNumber(params[name]) : match));
+  }
+
+  // A role's name in the current language
+  function roleName(role) {
+    return (bundle().roles || {})[role] || role;
+  }
+
+  // Text for an error from a server acknowledgement ({ code, message }).
+  // Codes this page does not know fall back to the server's own message.
+  function errorText(error) {
+    const errors = bundle().errors || {};
+    return errors[error.code] || error.message || error.code;
+  }
+
+  // Text for a message the server sent as { key, params }.  A round the
+  // police lost to the clock says so first.
+  function messageText(message, timedOut) {
+    const text = t(message.key, message.params);
+    return timedOut ? `${t('timedOut', message.params)} ${text}` : text;
   }
 
   // Update static UI texts based on current language
@@ -195,19 +376,112 @@
     const joinMsg = joinScreen.querySelector('p');
     if (joinMsg) joinMsg.textContent = t('enterName');
     joinButton.textContent = t('joinGame');
+    joinCodeInput.placeholder = t('tableCodeOptional');
+    // Lobby screen
+    const lobbyTitle = lobbyScreen.querySelector('h2');
+    if (lobbyTitle) lobbyTitle.textContent = t('tables');
+    lobbyMessage.textContent = t('lobbyIntro');
+    roomCodeInput.placeholder = t('tableCode');
+    roomPasswordInput.placeholder = t('passwordIfNeeded');
+    document.getElementById('privateLabel').textContent = t('privateTable');
+    createPasswordInput.placeholder = t('passwordOptional');
+    document.getElementById('inviteLabel').textContent = t('inviteLink');
+    copyInviteButton.textContent = t('copy');
+    joinRoomButton.textContent = t('joinTable');
+    createRoomButton.textContent = t('createTable');
+    leaveRoomButton.textContent = t('leaveTable');
+    if (myRoom) showRoomLabel();
+    roomRulesEl.textContent = myRules ? describeRules(myRules) : '';
+    // Rules picker
+    document.getElementById('rulesLabel').textContent = t('rules');
+    document.getElementById('targetLabel').textContent = t('policeHunts');
+    document.getElementById('transferLabel').textContent = t('transferOnWrong');
+    customRules.querySelectorAll('[data-role]').forEach(el => {
+      el.textContent = roleName(el.dataset.role);
+    });
+    targetSelect.querySelectorAll('option').forEach(opt => {
+      opt.textContent = opt.value === 'alternating' ? t('alternating') : roleName(opt.value);
+    });
+    renderRulesSelect();
+    // Settings panel
+    document.getElementById('settingsTitle').textContent = t('gameSettings');
+    document.getElementById('modeLabel').textContent = t('gameLength');
+    modeSelect.options[0].textContent = t('modeRounds');
+    modeSelect.options[1].textContent = t('modePoints');
+    document.getElementById('maxRoundsLabel').textContent = t('roundsLabel');
+    document.getElementById('targetScoreLabel').textContent = t('targetScore');
+    document.getElementById('autoAdvanceLabel').textContent = t('autoAdvance');
+    document.getElementById('advanceDelayLabel').textContent = t('advanceDelay');
+    document.getElementById('resultDisplayLabel').textContent = t('resultDisplay');
+    document.getElementById('guessTimeoutLabel').textContent = t('guessTimeout');
+    document.getElementById('timeoutOutcomeLabel').textContent = t('timeoutOutcome');
+    timeoutOutcomeSelect.options[0].textContent = t('outcomeRandom');
+    timeoutOutcomeSelect.options[1].textContent = t('outcomeWrong');
+    document.getElementById('substituteScoreLabel').textContent = t('substituteScore');
+    substituteScoreSelect.options[0].textContent = t('substituteZero');
+    substituteScoreSelect.options[1].textContent = t('substituteInherit');
+    document.getElementById('seedLabel').textContent = t('seedSetting');
+    document.getElementById('muteChatLabel').textContent = t('muteChat');
+    document.getElementById('teamsLabel').textContent = t('teamsSetting');
+    saveSettingsButton.textContent = t('saveSettings');
+    if (roomSettings) settingsSummary.textContent = describeSettings(roomSettings);
     // Waiting screen
     const waitingTitle = waitingScreen.querySelector('h2');
     if (waitingTitle) waitingTitle.textContent = t('waitingRoom');
     if (waitingMessage) waitingMessage.textContent = t('waitingForPlayers');
     shuffleButton.textContent = t('shuffleStart');
     nextShuffleButton.textContent = t('shuffleNext');
-    const restartBtn = document.getElementById('restartButton');
-    if (restartBtn) restartBtn.textContent = t('restartGame');
+    hostPauseButton.textContent = hostPaused ? t('resumeGame') : t('pauseGame');
+    restartButton.textContent = t('rematchAccept');
+    declineRematchButton.textContent = t('rematchDecline');
+    renderRematch();
     // Game screen headings
     const scoreLabel = scoreboardEl.parentElement.querySelector('h3');
     if (scoreLabel) scoreLabel.textContent = t('scoreboard');
     const historyLabel = historyContainer.querySelector('h3');
     if (historyLabel) historyLabel.textContent = t('roundHistory');
+    // Profile screen
+    profileButton.textContent = t('myStats');
+    document.getElementById('profileTitle').textContent = t('myStats');
+    profileBackButton.textContent = t('backToTables');
+    renderProfile();
+    // Bot controls
+    document.getElementById('botStrategyLabel').textContent = t('botStrategy');
+    botStrategySelect.options[0].textContent = t('strategyHeuristic');
+    botStrategySelect.options[1].textContent = t('strategyRandom');
+    addBotButton.textContent = t('addBot');
+    updateWaitingList(waitingPlayers);
+    // Game over actions and replay
+    downloadJsonLink.textContent = t('downloadJson');
+    downloadCsvLink.textContent = t('downloadCsv');
+    replayButton.textContent = t('watchReplay');
+    replayExitButton.textContent = t('exitReplay');
+    if (replaySteps) showReplayStep(replayIndex);
+    // Leaderboard screen
+    leaderboardButton.textContent = t('leaderboard');
+    document.getElementById('leaderboardTitle').textContent = t('leaderboard');
+    periodSelect.options[0].textContent = t('periodWeek');
+    periodSelect.options[1].textContent = t('periodAll');
+    metricSelect.options[0].textContent = t('metricWins');
+    metricSelect.options[1].textContent = t('metricPoints');
+    metricSelect.options[2].textContent = t('metricPoliceAccuracy');
+    leaderboardBackButton.textContent = t('back');
+    renderLeaderboard();
+    // Tournaments
+    document.getElementById('tournamentsTitle').textContent = t('tournaments');
+    tournamentNameInput.placeholder = t('tournamentName');
+    document.getElementById('advanceLabel').textContent = t('advanceSetting');
+    document.getElementById('tournamentRoundsLabel').textContent = t('roundsPerGame');
+    createTournamentButton.textContent = t('createTournament');
+    startTournamentButton.textContent = t('startTournament');
+    renderTournamentList();
+    renderBracket();
+    // Chat panel
+    document.getElementById('chatTitle').textContent = t('tableChat');
+    chatInput.placeholder = t('chatPlaceholder');
+    chatSendButton.textContent = t('send');
+    renderEmoteBar();
+    renderChat();
     // Language label
     const langLabel = document.getElementById('langLabel');
     if (langLabel) langLabel.textContent = t('language');
@@ -231,29 +505,774 @@
     }
   }
 
-  // Helper to update the waiting list display
-  function updateWaitingList(names) {
+  // Whether this client is the host and the game has not been dealt yet
+  function canManageTable() {
+    return Boolean(hostId && hostId === myId && currentRound === 0);
+  }
+
+  // Small "BOT" label shown next to a bot's name
+  function botBadge() {
+    const badge = document.createElement('span');
+    badge.className = 'botBadge';
+    badge.textContent = t('bot');
+    return badge;
+  }
+
+  // "HOST" label shown next to the host's name
+  function hostBadge() {
+    const badge = document.createElement('span');
+    badge.className = 'hostBadge';
+    badge.textContent = t('host');
+    return badge;
+  }
+
+  // Display name of a team (0 → "Team A")
+  function teamName(team) {
+    return t('teamName', { name: 'AB'[team] });
+  }
+
+  // Tag naming a player's team in a team game
+  function teamBadge(team) {
+    const badge = document.createElement('span');
+    badge.className = 'teamBadge';
+    badge.textContent = teamName(team);
+    return badge;
+  }
+
+  // Buttons for picking a team in the waiting room; the current choice is
+  // pressed again to drop it
+  function teamButtons(entry) {
+    return [0, 1].map(team => {
+      const btn = document.createElement('button');
+      btn.className = entry.team === team ? 'btn btn-small' : 'btn btn-secondary btn-small';
+      btn.textContent = teamName(team);
+      btn.addEventListener('click', () => {
+        socket.emit('chooseTeam', { team: entry.team === team ? null : team }, showActionError);
+      });
+      return btn;
+    });
+  }
+
+  // Pooled score of each team on a scoreboard, or null without teams
+  function teamTotals(rows) {
+    if (!rows.some(row => Number.isInteger(row.team))) return null;
+    const totals = [0, 0];
+    rows.forEach(row => { totals[row.team] += row.score; });
+    return totals;
+  }
+
+  // Whether this client is the table's host
+  function isHost() {
+    return Boolean(hostId && hostId === myId);
+  }
+
+  // Show why the server refused an action (a host's, or a team choice) on
+  // whichever screen is up
+  function showActionError(response) {
+    if (response.ok) return;
+    if (gameScreen.hidden) {
+      waitingMessage.textContent = errorText(response.error);
+    } else {
+      messageArea.textContent = errorText(response.error);
+    }
+  }
+
+  // The host's Kick and Make Host buttons for another member of the table.
+  // Bots cannot be host.
+  function hostButtons(entry) {
+    if (!isHost() || entry.id === myId || replaySteps) return [];
+    const buttons = [];
+    const add = (label, event) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-secondary btn-small';
+      btn.textContent = t(label);
+      btn.addEventListener('click', () => socket.emit(event, { id: entry.id }, showActionError));
+      buttons.push(btn);
+    };
+    add('kick', 'kickPlayer');
+    if (!entry.bot) add('makeHost', 'transferHost');
+    return buttons;
+  }
+
+  // The host's Pause/Resume button, shown while a game is being played
+  function renderHostControls() {
+    hostPauseButton.hidden = !isHost() || gameScreen.hidden || Boolean(gameId);
+    hostPauseButton.disabled = false;
+    hostPauseButton.textContent = hostPaused ? t('resumeGame') : t('pauseGame');
+  }
+
+  // Helper to update the waiting list display.  The host can remove bots
+  // that have not been seated yet, and kick people or make them host.
+  function updateWaitingList(entries) {
+    waitingPlayers = entries;
     waitingList.innerHTML = '';
-    names.forEach(name => {
+    entries.forEach(entry => {
       const li = document.createElement('li');
-      li.textContent = name || 'Anonymous';
+      li.appendChild(document.createTextNode(entry.name || t('anonymous')));
+      if (entry.id === hostId) li.appendChild(hostBadge());
+      if (roomSettings && roomSettings.teams) {
+        if (entry.id === myId) {
+          li.append(...teamButtons(entry));
+        } else if (entry.team !== null) {
+          li.appendChild(teamBadge(entry.team));
+        }
+      }
+      if (entry.bot) {
+        li.appendChild(botBadge());
+        if (canManageTable()) {
+          const btn = document.createElement('button');
+          btn.className = 'btn btn-secondary btn-small';
+          btn.textContent = t('removeBot');
+          btn.addEventListener('click', () => socket.emit('removeBot', { id: entry.id }));
+          li.appendChild(btn);
+        }
+      } else {
+        li.append(...hostButtons(entry));
+      }
       waitingList.appendChild(li);
     });
   }
 
+  // One‑line localized summary of a table's rules, e.g.
+  // "Classic – Babu 900 · Police 800 · Dakat 600 · Chor 400 – Police hunts: …"
+  function describeRules(rules) {
+    const points = ['Babu', 'Police', 'Dakat', 'Chor']
+      .map(role => `${roleName(role)} ${formatNumber(rules.points[role])}`)
+      .join(' · ');
+    const target = rules.target === 'alternating' ? t('alternating') : roleName(rules.target);
+    let text = `${t('rules_' + rules.preset)} – ${points} – ${t('policeHunts')}: ${target}`;
+    if (rules.transferOnWrong) text += ` – ${t('transferOnWrong')}`;
+    return text;
+  }
+
+  // Fill the rules dropdown with the server's presets plus a custom option
+  function renderRulesSelect() {
+    const selected = rulesSelect.value || (rulePresets[0] && rulePresets[0].preset);
+    rulesSelect.innerHTML = '';
+    rulePresets.map(p => p.preset).concat('custom').forEach(preset => {
+      const opt = document.createElement('option');
+      opt.value = preset;
+      opt.textContent = t('rules_' + preset);
+      rulesSelect.appendChild(opt);
+    });
+    if (selected) rulesSelect.value = selected;
+    customRules.hidden = rulesSelect.value !== 'custom';
+  }
+
+  // Prefill the custom rule inputs from a preset so the host can tweak it
+  function fillCustomRules(rules) {
+    ['Babu', 'Police', 'Dakat', 'Chor'].forEach(role => {
+      document.getElementById('points' + role).value = rules.points[role];
+    });
+    targetSelect.value = rules.target;
+    transferCheckbox.checked = rules.transferOnWrong;
+  }
+
+  // Rules requested by the create‑table form
+  function chosenRules() {
+    if (rulesSelect.value !== 'custom') {
+      return { preset: rulesSelect.value };
+    }
+    const points = {};
+    ['Babu', 'Police', 'Dakat', 'Chor'].forEach(role => {
+      points[role] = Number(document.getElementById('points' + role).value);
+    });
+    return {
+      preset: 'custom',
+      points,
+      target: targetSelect.value,
+      transferOnWrong: transferCheckbox.checked
+    };
+  }
+
+  // One‑line localized summary of a table's settings
+  function describeSettings(settings) {
+    const length = settings.mode === 'points'
+      ? t('summaryPoints', { n: settings.targetScore })
+      : t('summaryRounds', { n: settings.maxRounds });
+    const dealing = settings.autoAdvance
+      ? t('summaryAuto', { s: settings.advanceDelayMs / 1000 })
+      : t('summaryManual');
+    const result = t('summaryResult', { s: settings.resultDisplayMs / 1000 });
+    const timeout = settings.guessTimeoutMs > 0
+      ? t('summaryTimeout', { s: settings.guessTimeoutMs / 1000 })
+      : t('summaryNoTimeout');
+    const inherit = settings.substituteScore === 'inherit' ? ` · ${t('summaryInherit')}` : '';
+    const seed = settings.seeded ? ` · ${t('summarySeed')}` : '';
+    const teams = settings.teams ? `${t('summaryTeams')} · ` : '';
+    return `${teams}${length} · ${dealing} · ${result} · ${timeout}${inherit}${seed}`;
+  }
+
+  // Helper to render the chat log.  Names and text come from other players,
+  // so they are only ever inserted as text.
+  function renderChat() {
+    chatLog.innerHTML = '';
+    chatMessages.forEach(msg => {
+      const li = document.createElement('li');
+      if (msg.playerId === myId) li.classList.add('mine');
+      const name = document.createElement('strong');
+      name.textContent = `${msg.name}: `;
+      const body = document.createElement('span');
+      if (msg.emote) {
+        body.className = 'emote';
+        body.textContent = t(`emote_${msg.emote}`);
+      } else {
+        body.textContent = msg.text;
+      }
+      li.appendChild(name);
+      li.appendChild(body);
+      chatLog.appendChild(li);
+    });
+    chatLog.scrollTop = chatLog.scrollHeight;
+  }
+
+  // Helper to render the quick emote buttons in the current language
+  function renderEmoteBar() {
+    emoteBar.innerHTML = '';
+    EMOTES.forEach(key => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-secondary';
+      btn.textContent = t(`emote_${key}`);
+      btn.addEventListener('click', () => sendChat({ emote: key }));
+      emoteBar.appendChild(btn);
+    });
+  }
+
+  // Show or hide the chat for the current table and grey it out while muted
+  function renderChatControls() {
+    chatPanel.hidden = !myRoom;
+    const muted = Boolean(roomSettings && roomSettings.muteChatWhileGuessing && policeDeciding);
+    chatInput.disabled = muted;
+    chatSendButton.disabled = muted;
+    emoteBar.querySelectorAll('button').forEach(btn => { btn.disabled = muted; });
+  }
+
+  function sendChat(payload) {
+    chatError.textContent = '';
+    socket.emit('chatMessage', payload);
+  }
+
+  // Replace the chat with a table's recent messages (on joining or resuming)
+  function loadChat(messages) {
+    chatMessages = messages || [];
+    chatError.textContent = '';
+    renderChat();
+    renderChatControls();
+  }
+
+  // Show the table's settings; the host gets an editable panel until the
+  // first round is dealt
+  function renderSettings() {
+    if (!roomSettings) return;
+    settingsSummary.textContent = describeSettings(roomSettings);
+    settingsPanel.hidden = !canManageTable();
+    botControls.hidden = !canManageTable();
+    modeSelect.value = roomSettings.mode;
+    maxRoundsInput.value = roomSettings.maxRounds;
+    targetScoreInput.value = roomSettings.targetScore;
+    autoAdvanceCheckbox.checked = roomSettings.autoAdvance;
+    advanceDelayInput.value = roomSettings.advanceDelayMs / 1000;
+    resultDisplayInput.value = roomSettings.resultDisplayMs / 1000;
+    guessTimeoutInput.value = roomSettings.guessTimeoutMs / 1000;
+    timeoutOutcomeSelect.value = roomSettings.timeoutOutcome;
+    substituteScoreSelect.value = roomSettings.substituteScore;
+    muteChatCheckbox.checked = roomSettings.muteChatWhileGuessing;
+    teamsCheckbox.checked = roomSettings.teams;
+    // The seed itself stays on the server until the game is over; the
+    // field is only sent back if the host edits it
+    seedInput.value = '';
+    seedInput.placeholder = roomSettings.seeded ? t('seedHidden') : '';
+    seedEdited = false;
+    maxRoundsField.hidden = roomSettings.mode !== 'rounds';
+    targetScoreField.hidden = roomSettings.mode !== 'points';
+  }
+
+  // Helper to render the lobby's list of tables
+  function renderRoomList() {
+    roomListEl.innerHTML = '';
+    if (roomList.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = t('noTables');
+      roomListEl.appendChild(li);
+      return;
+    }
+    roomList.forEach(room => {
+      const li = document.createElement('li');
+      const label = document.createElement('span');
+      const status = room.inProgress ? t('inProgress') : t('seatsLeft', { n: room.seatsLeft });
+      label.textContent = `${room.locked ? '🔒 ' : ''}${room.name} (${room.code}) – ${status}`;
+      const rulesLine = document.createElement('small');
+      rulesLine.className = 'roomRules';
+      rulesLine.textContent = describeRules(room.rules);
+      label.appendChild(document.createElement('br'));
+      label.appendChild(rulesLine);
+      li.appendChild(label);
+      const btn = document.createElement('button');
+      btn.className = 'btn';
+      btn.textContent = t('joinTable');
+      btn.addEventListener('click', () => {
+        clearLobbyError();
+        socket.emit('joinRoom', { code: room.code, password: roomPasswordInput.value });
+      });
+      li.appendChild(btn);
+      roomListEl.appendChild(li);
+    });
+  }
+
+  // Helper to render the lobby's list of tournaments.  Those still taking
+  // sign‑ups can be joined; any can be followed.
+  function renderTournamentList() {
+    tournamentListEl.innerHTML = '';
+    if (tournamentList.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = t('noTournaments');
+      tournamentListEl.appendChild(li);
+      return;
+    }
+    tournamentList.forEach(item => {
+      const li = document.createElement('li');
+      const label = document.createElement('span');
+      const status = item.status === 'registering' ? t('entrants', { n: item.entrants }) : t('tournamentRunning');
+      label.textContent = `${item.name} (${item.code}) – ${status}`;
+      const advanceLine = document.createElement('small');
+      advanceLine.className = 'roomRules';
+      advanceLine.textContent = t('advancePerTable', { n: item.advance });
+      label.appendChild(document.createElement('br'));
+      label.appendChild(advanceLine);
+      li.appendChild(label);
+      if (item.status === 'registering') {
+        const joinBtn = document.createElement('button');
+        joinBtn.className = 'btn';
+        joinBtn.textContent = t('enterTournament');
+        joinBtn.addEventListener('click', () => {
+          clearLobbyError();
+          socket.emit('joinTournament', { code: item.code }, showLobbyError);
+        });
+        li.appendChild(joinBtn);
+      }
+      const viewBtn = document.createElement('button');
+      viewBtn.className = 'btn btn-secondary';
+      viewBtn.textContent = t('viewBracket');
+      viewBtn.addEventListener('click', () => {
+        clearLobbyError();
+        socket.emit('watchTournament', { code: item.code }, showLobbyError);
+      });
+      li.appendChild(viewBtn);
+      tournamentListEl.appendChild(li);
+    });
+  }
+
+  // Whether this client is one of the bracket's entrants
+  function isEntrant() {
+    return Boolean(bracket && bracket.entrants.some(entrant => entrant.id === myId));
+  }
+
+  // Helper to render the followed tournament's bracket: one column per
+  // stage, each table listing its players and scores with ✓ beside those
+  // going through
+  function renderBracket() {
+    bracketPanel.hidden = !bracket;
+    if (!bracket) return;
+    bracketTitle.textContent = `${bracket.name} (${bracket.code})`;
+    if (bracket.status === 'finished') {
+      bracketStatus.textContent = `🏆 ${t('champion', { names: bracket.champions.join(', ') })}`;
+    } else if (bracket.status === 'running') {
+      bracketStatus.textContent = t('tournamentRunning');
+    } else {
+      const names = bracket.entrants.map(entrant => entrant.name).join(', ');
+      bracketStatus.textContent = `${t('entrants', { n: bracket.entrants.length })}: ${names}`;
+    }
+    bracketStages.innerHTML = '';
+    bracket.stages.forEach((tables, index) => {
+      const column = document.createElement('div');
+      column.className = 'bracketStage';
+      const heading = document.createElement('h4');
+      heading.textContent = tables.length === 1 ? t('final') : t('stageNumber', { n: index + 1 });
+      column.appendChild(heading);
+      tables.forEach(table => {
+        const list = document.createElement('ul');
+        list.className = 'bracketTable';
+        table.players.forEach(player => {
+          const li = document.createElement('li');
+          if (player.qualified) li.className = 'qualified';
+          const name = document.createElement('span');
+          name.textContent = `${player.qualified ? '✓ ' : ''}${player.name}`;
+          const score = document.createElement('span');
+          score.textContent = formatNumber(player.score);
+          li.appendChild(name);
+          li.appendChild(score);
+          list.appendChild(li);
+        });
+        if (table.tieBreak) {
+          const li = document.createElement('li');
+          li.className = 'tieBreakTag';
+          li.textContent = t('tieBreakTag');
+          list.appendChild(li);
+        }
+        column.appendChild(list);
+      });
+      bracketStages.appendChild(column);
+    });
+    const registering = bracket.status === 'registering';
+    startTournamentButton.hidden = !(registering && bracket.organizerId === myId);
+    // Entrants stay with a running tournament to the end
+    leaveTournamentButton.hidden = !registering && bracket.status !== 'finished' && isEntrant();
+    leaveTournamentButton.textContent = registering && isEntrant() ? t('withdraw') : t('closeBracket');
+  }
+
+  // Helper to render the lifetime statistics table
+  function renderProfile() {
+    profileTable.innerHTML = '';
+    if (!myProfile) return;
+    const { stats, policeAccuracy } = myProfile;
+    profileNameEl.textContent = myProfile.name;
+    const percent = value => (value === null ? t('noGuesses') : formatPercent(value));
+    const rows = [
+      [t('statGamesPlayed'), stats.gamesPlayed],
+      [t('statGamesWon'), stats.gamesWon],
+      [t('statRoundsPlayed'), stats.roundsPlayed],
+      [t('statTotalPoints'), stats.totalPoints]
+    ];
+    ['Babu', 'Police', 'Chor', 'Dakat'].forEach(role => {
+      rows.push([t('statTimesAs', { role: roleName(role) }), stats.roles[role]]);
+    });
+    rows.push([t('statPoliceAccuracy'), percent(policeAccuracy.overall)]);
+    ['Chor', 'Dakat'].forEach(role => {
+      const record = stats.police[role];
+      rows.push([
+        t('statAccuracyVs', { role: roleName(role) }),
+        `${percent(policeAccuracy[role])} (${formatNumber(record.correct)}/${formatNumber(record.guesses)})`
+      ]);
+    });
+    rows.push([t('statLongestStreak'), stats.longestStreak]);
+    rows.push([t('statCurrentStreak'), stats.currentStreak]);
+    rows.forEach(([label, value]) => {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.textContent = label;
+      const td = document.createElement('td');
+      td.textContent = formatNumber(value);
+      tr.appendChild(th);
+      tr.appendChild(td);
+      profileTable.appendChild(tr);
+    });
+  }
+
+  // Helper to render the current leaderboard page.  Tied players share a
+  // rank; everyone ranked first is marked as a winner.
+  function renderLeaderboard() {
+    leaderboardTable.innerHTML = '';
+    if (!leaderboardData) return;
+    const { entries, total, page, pageSize, metric } = leaderboardData;
+    const pages = Math.max(1, Math.ceil(total / pageSize));
+    pageLabel.textContent = t('pageOf', { page, pages });
+    prevPageButton.disabled = page <= 1;
+    nextPageButton.disabled = page >= pages;
+    if (entries.length === 0) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.textContent = t('noResults');
+      tr.appendChild(td);
+      leaderboardTable.appendChild(tr);
+      return;
+    }
+    const metricKey = { wins: 'metricWins', points: 'metricPoints', policeAccuracy: 'metricPoliceAccuracy' }[metric];
+    const header = document.createElement('tr');
+    [t('rank'), t('name'), t(metricKey), t('gamesPlayed')].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      header.appendChild(th);
+    });
+    leaderboardTable.appendChild(header);
+    entries.forEach(entry => {
+      const tr = document.createElement('tr');
+      if (entry.rank === 1) tr.classList.add('leader');
+      const value = metric === 'policeAccuracy' ? formatPercent(entry.value) : formatNumber(entry.value);
+      const rank = formatNumber(entry.rank);
+      const cells = [entry.rank === 1 ? `🏆 ${rank}` : rank, entry.name, value, formatNumber(entry.gamesPlayed)];
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      leaderboardTable.appendChild(tr);
+    });
+  }
+
+  // Fetch one page of the leaderboard for the chosen period and metric
+  function loadLeaderboard(page) {
+    leaderboardError.textContent = '';
+    const params = new URLSearchParams({
+      period: periodSelect.value,
+      metric: metricSelect.value,
+      page,
+      pageSize: LEADERBOARD_PAGE_SIZE
+    });
+    fetch(`/api/leaderboard?${params}`)
+      .then(res => {
+        if (!res.ok) throw new Error(res.statusText);
+        return res.json();
+      })
+      .then(data => {
+        leaderboardPage = data.page;
+        leaderboardData = data;
+        renderLeaderboard();
+      })
+      .catch(() => {
+        leaderboardError.textContent = t('leaderboardFailed');
+      });
+  }
+
+  // Switch to the lobby screen
+  function showLobby() {
+    myRoom = null;
+    myRules = null;
+    policeDeciding = false;
+    spectating = false;
+    spectatorCount = 0;
+    tieBreak = false;
+    clearGameOver();
+    loadChat([]);
+    joinScreen.hidden = true;
+    waitingScreen.hidden = true;
+    gameScreen.hidden = true;
+    profileScreen.hidden = true;
+    lobbyScreen.hidden = false;
+    lobbyMessage.textContent = t('lobbyIntro');
+    clearLobbyError();
+    renderRoomList();
+    renderTournamentList();
+  }
+
+  // SHA‑256 of a string as bytes, or null where the browser offers no
+  // Web Crypto (pages not served over https or from localhost)
+  async function sha256(text) {
+    if (!window.crypto || !window.crypto.subtle) return null;
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return new Uint8Array(digest);
+  }
+
+  // Replays the server's deal from a revealed seed (see server/deal.js):
+  // Fisher–Yates over numbers taken from sha256(`${seed}:${i}`).
+  async function replayDeal(seed) {
+    const roles = ['Babu', 'Police', 'Chor', 'Dakat'];
+    let counter = 0;
+    for (let i = roles.length - 1; i > 0; i--) {
+      const bytes = await sha256(`${seed}:${counter++}`);
+      const value = ((bytes[0] << 24) >>> 0) + (bytes[1] << 16) + (bytes[2] << 8) + bytes[3];
+      const j = Math.floor((value / 2 ** 32) * (i + 1));
+      [roles[i], roles[j]] = [roles[j], roles[i]];
+    }
+    return roles;
+  }
+
+  // Check a revealed seed against the hash published with the deal and the
+  // roles shown in the result, then report the outcome under the message
+  async function verifyDeal(seed, expectedHash, revealed) {
+    dealCheck.hidden = true;
+    if (!seed || !expectedHash) return;
+    const digest = await sha256(seed);
+    if (!digest) {
+      dealCheck.textContent = t('dealUnchecked', { seed });
+      dealCheck.className = 'dealCheck';
+      dealCheck.hidden = false;
+      return;
+    }
+    const hex = Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+    const roles = await replayDeal(seed);
+    const ok = hex === expectedHash && revealed.every((row, i) => row.role === roles[i]);
+    dealCheck.textContent = ok ? t('dealVerified') : t('dealMismatch');
+    dealCheck.className = ok ? 'dealCheck' : 'dealCheck failed';
+    dealCheck.hidden = false;
+  }
+
+  // Offer the finished game for download and replay
+  function showGameOverActions(id) {
+    gameId = id;
+    gameOverActions.hidden = !id;
+    if (!id) return;
+    downloadJsonLink.href = `/api/games/${id}`;
+    downloadJsonLink.download = `chor-game-${id}.json`;
+    downloadCsvLink.href = `/api/games/${id}?format=csv`;
+    downloadCsvLink.download = `chor-game-${id}.csv`;
+  }
+
+  // Turn a saved game log into one step per round, each holding the
+  // scoreboard and history as they stood when that round was resolved
+  function buildReplaySteps(log) {
+    const names = {};
+    const bots = {};
+    log.players.forEach(p => { names[p.id] = p.name; bots[p.id] = p.bot; });
+    const rounds = {};
+    log.events.forEach(event => {
+      if (event.round === undefined) return;
+      rounds[event.round] = rounds[event.round] || {};
+      rounds[event.round][event.type] = event;
+    });
+    const steps = [];
+    const stepHistory = [];
+    Object.keys(rounds).map(Number).sort((a, b) => a - b).forEach(round => {
+      const { deal, guess, result } = rounds[round];
+      if (!deal || !guess || !result) return;
+      // Only the players dealt into this round; a seat may have changed
+      // hands during the game
+      const seated = log.players.filter(p => p.id in deal.roles);
+      const gains = seated.map(p => ({ id: p.id, name: p.name, points: result.gains[p.id] }));
+      stepHistory.push({ round, gains, correct: guess.correct, timedOut: guess.timedOut });
+      steps.push({
+        round,
+        scoreboard: seated.map(p => ({
+          id: p.id,
+          name: names[p.id],
+          role: deal.roles[p.id],
+          score: result.scores[p.id],
+          bot: bots[p.id],
+          team: p.team
+        })),
+        history: stepHistory.slice(),
+        gains,
+        police: names[guess.policeId],
+        accused: names[guess.guessedId],
+        correct: guess.correct,
+        timedOut: guess.timedOut
+      });
+    });
+    return steps;
+  }
+
+  // Render one replay step with the regular scoreboard and history views
+  function showReplayStep(index) {
+    replayIndex = index;
+    const step = replaySteps[index];
+    scoreboard = step.scoreboard;
+    history = step.history;
+    lastGains = {};
+    step.gains.forEach(g => { lastGains[g.id] = g.points; });
+    renderScoreboard();
+    renderHistory();
+    replayLabel.textContent = t('replayRound', { round: step.round, rounds: replaySteps.length });
+    let outcome = step.correct ? t('replayCorrect') : t('replayWrong');
+    if (step.timedOut) outcome = `${outcome} (${t('replayTimedOut')})`;
+    messageArea.textContent = t('replayStep', { police: step.police, accused: step.accused, outcome });
+    replayPrevButton.disabled = index === 0;
+    replayNextButton.disabled = index === replaySteps.length - 1;
+  }
+
+  // Load a finished game and step through it from the first round
+  function startReplay() {
+    fetch(`/api/games/${gameId}`)
+      .then(res => {
+        if (!res.ok) throw new Error(res.statusText);
+        return res.json();
+      })
+      .then(log => {
+        const steps = buildReplaySteps(log);
+        if (steps.length === 0) return;
+        if (!replaySteps) {
+          liveState = { scoreboard, history, lastGains, message: Array.from(messageArea.childNodes) };
+        }
+        replaySteps = steps;
+        replayControls.hidden = false;
+        gameOverActions.hidden = true;
+        renderRematch();
+        showReplayStep(0);
+      })
+      .catch(() => {
+        messageArea.textContent = t('replayFailed');
+      });
+  }
+
+  // Forget the finished game once a new one starts or the table is left
+  function clearGameOver() {
+    replaySteps = null;
+    liveState = null;
+    replayControls.hidden = true;
+    showGameOverActions(null);
+    showRematch(null);
+  }
+
+  // Close the replay and put the final table back
+  function stopReplay() {
+    if (!replaySteps) return;
+    replaySteps = null;
+    replayControls.hidden = true;
+    ({ scoreboard, history, lastGains } = liveState);
+    messageArea.replaceChildren(...liveState.message);
+    liveState = null;
+    renderScoreboard();
+    renderHistory();
+    gameOverActions.hidden = !gameId;
+    renderRematch();
+  }
+
+  // Take in the state of the rematch vote (or null once there is none) and
+  // count down to its deadline
+  function showRematch(vote, serverTime) {
+    clearInterval(rematchInterval);
+    rematchInterval = null;
+    rematchVote = vote;
+    if (vote) {
+      rematchDeadline = Date.now() + (vote.deadline - serverTime);
+      rematchInterval = setInterval(renderRematch, 250);
+    }
+    renderRematch();
+  }
+
+  // Show the rematch vote beside its buttons: who has accepted, declined or
+  // not answered yet, and the time left.  Seated players who have not
+  // answered get the Rematch and No Thanks buttons.
+  function renderRematch() {
+    const open = Boolean(rematchVote) && !replaySteps;
+    const mine = open ? rematchVote.votes.find(v => v.id === myId) : null;
+    const canVote = Boolean(mine && mine.vote === null);
+    restartButton.hidden = !canVote;
+    declineRematchButton.hidden = !canVote;
+    rematchStatus.hidden = !open;
+    if (!open) return;
+    const secondsLeft = Math.max(0, Math.ceil((rematchDeadline - Date.now()) / 1000));
+    const accepted = rematchVote.votes.filter(v => v.vote === true).length;
+    const tally = document.createElement('span');
+    tally.textContent = t('rematchTally', { accepted, total: rematchVote.votes.length, s: secondsLeft });
+    // Names are set as text, never as markup
+    const marks = rematchVote.votes.map(v => {
+      const mark = document.createElement('span');
+      mark.className = `rematchVote${v.vote === true ? ' accepted' : v.vote === false ? ' declined' : ''}`;
+      mark.textContent = `${v.name} ${v.vote === true ? '✓' : v.vote === false ? '✗' : '…'}`;
+      return mark;
+    });
+    rematchStatus.replaceChildren(tally, ...marks);
+  }
+
+  // Appends a cell to a table row.  Content is always set as text, so
+  // player names can never inject markup.
+  function addCell(tr, tag, text, bold) {
+    const cell = document.createElement(tag);
+    if (bold) {
+      const strong = document.createElement('strong');
+      strong.textContent = text;
+      cell.appendChild(strong);
+    } else {
+      cell.textContent = text;
+    }
+    tr.appendChild(cell);
+    return cell;
+  }
+
   // Helper to render the scoreboard table
   function renderScoreboard() {
+    scoreboardEl.innerHTML = '';
     // Build header row with translated column names
-    let html = `<tr><th>${t('name')}</th><th>${t('role')}</th><th>${t('score')}</th></tr>`;
+    const headRow = document.createElement('tr');
+    [t('name'), t('role'), t('score')].forEach(label => addCell(headRow, 'th', label));
+    scoreboardEl.appendChild(headRow);
     scoreboard.forEach(row => {
-      // Determine if this row's role should be visible: always show Babu and Police, and show your own role.
-      const roleVisible = (row.role === 'Babu' || row.role === 'Police' || row.id === myId);
+      // The server only sends roles this player may see (their own, Babu,
+      // Police, and everyone's once the round is resolved); others are null.
+      const roleVisible = Boolean(row.role);
       // Translate role if visible, otherwise display '-'
-      const displayRole = roleVisible ? roleTranslations[lang][row.role] : '-';
+      const displayRole = roleVisible ? roleName(row.role) : '-';
       // Emoji for visible roles
       const emoji = roleVisible ? (roleEmojis[row.role] || '') : '';
-      // Build player name with emoji prefix if role is visible
-      let nameCell = `${emoji ? emoji + ' ' : ''}${row.name}`;
       // Determine row color: highlight current player or role‑based color if visible
       let nameStyle = '';
       if (row.id === myId) {
@@ -263,10 +1282,31 @@
       }
       // Determine if this row should flash to indicate points gained
       const gained = lastGains[row.id] && lastGains[row.id] > 0;
-      const rowClass = gained ? 'highlight' : '';
-      html += `<tr class="${rowClass}"><td style="${nameStyle}">${nameCell}</td><td>${displayRole}</td><td>${row.score}</td></tr>`;
+      const tr = document.createElement('tr');
+      if (gained) tr.className = 'highlight';
+      // Player name with emoji prefix if role is visible
+      const nameCell = addCell(tr, 'td', `${emoji ? emoji + ' ' : ''}${row.name}`);
+      nameCell.style.cssText = nameStyle;
+      if (row.bot) nameCell.append(' ', botBadge());
+      if (row.id === hostId) nameCell.append(' ', hostBadge());
+      if (Number.isInteger(row.team)) nameCell.append(' ', teamBadge(row.team));
+      nameCell.append(...hostButtons(row));
+      addCell(tr, 'td', displayRole);
+      addCell(tr, 'td', formatNumber(row.score));
+      scoreboardEl.appendChild(tr);
     });
-    scoreboardEl.innerHTML = html;
+    // In a team game, partners' points are pooled
+    const totals = teamTotals(scoreboard);
+    if (totals) {
+      totals.forEach((total, team) => {
+        const tr = document.createElement('tr');
+        tr.className = 'teamTotal';
+        addCell(tr, 'td', teamName(team), true);
+        addCell(tr, 'td', '');
+        addCell(tr, 'td', formatNumber(total), true);
+        scoreboardEl.appendChild(tr);
+      });
+    }
     // Animate scoreboard update
     scoreboardEl.classList.remove('fade-in');
     // Force reflow for restart of animation
@@ -274,6 +1314,37 @@
     scoreboardEl.classList.add('fade-in');
   }
 
+  // The end‑of‑game line; winners' names are inserted as text.  In a team
+  // game the winning team is named before its players.
+  function showWinners(winners, gameSeed) {
+    const title = document.createElement('strong');
+    title.textContent = t('gameOver');
+    const totals = teamTotals(scoreboard);
+    let names = winners.join(', ');
+    if (totals) {
+      const best = Math.max(...totals);
+      const teamsWon = [0, 1].filter(team => totals[team] === best).map(teamName);
+      names = `${teamsWon.join(', ')} (${names})`;
+    }
+    messageArea.replaceChildren(title, ` ${t('winners', { names })}`);
+    // A seeded game's seed is told once every role is known
+    if (gameSeed) messageArea.append(` ${t('gameSeedRevealed', { seed: gameSeed })}`);
+  }
+
+  // The text of a history entry that is not a round result
+  function historyNote(entry) {
+    if (entry.action === 'tieBreak') return t('tieBreak', { names: entry.target });
+    if (entry.action === 'substitute') {
+      const points = entry.gains.length ? entry.gains[0].points : 0;
+      return t(points ? 'substitutedWithScore' : 'substituted', {
+        replacement: entry.replacement,
+        target: entry.target,
+        score: points
+      });
+    }
+    return t(`host_${entry.action}`, { host: entry.host, target: entry.target });
+  }
+
   // Helper to render the history table
   function renderHistory() {
     if (!history || history.length === 0) {
@@ -281,28 +1352,35 @@
       return;
     }
     historyContainer.hidden = false;
-    // Build header row: first cell blank then each player's name
-    let header = `<tr><th>${t('round')}</th>`;
-    if (scoreboard.length) {
-      scoreboard.forEach(row => {
-        header += `<th>${row.name}</th>`;
-      });
-    }
-    header += '</tr>';
+    historyTable.innerHTML = '';
+    // Build header row: the round column then each player's name
+    const headRow = document.createElement('tr');
+    addCell(headRow, 'th', t('round'));
+    scoreboard.forEach(row => addCell(headRow, 'th', row.name));
+    historyTable.appendChild(headRow);
     // Build body rows
-    let body = '';
     history.forEach(entry => {
-      let rowHtml = `<tr><td>${entry.round}</td>`;
+      const tr = document.createElement('tr');
+      if (entry.action) {
+        // A substitution or something the host did: one line across the
+        // players' columns
+        addCell(tr, 'td', formatNumber(entry.round));
+        const cell = addCell(tr, 'td', historyNote(entry));
+        cell.colSpan = scoreboard.length;
+        cell.className = 'hostAction';
+        historyTable.appendChild(tr);
+        return;
+      }
+      // Rounds the police lost to the clock are marked with a stopwatch
+      addCell(tr, 'td', `${formatNumber(entry.round)}${entry.timedOut ? ' ⏱' : ''}`);
       // Build map id -> points for this round
       const gainMap = {};
       entry.gains.forEach(g => { gainMap[g.id] = g.points; });
       scoreboard.forEach(row => {
         const pts = gainMap[row.id] || 0;
-        const display = pts > 0 ? `+${pts}` : pts;
-        rowHtml += `<td>${display}</td>`;
+        addCell(tr, 'td', pts > 0 ? `+${formatNumber(pts)}` : formatNumber(pts));
       });
-      rowHtml += '</tr>';
-      body += rowHtml;
+      historyTable.appendChild(tr);
     });
     // Compute totals for each player
     const totals = {};
@@ -315,32 +1393,215 @@
       });
     });
     // Build total row
-    let totalRow = `<tr><td><strong>${t('total')}</strong></td>`;
-    scoreboard.forEach(row => {
-      const totalVal = totals[row.id] || 0;
-      totalRow += `<td><strong>${totalVal}</strong></td>`;
-    });
-    totalRow += '</tr>';
-    historyTable.innerHTML = header + body + totalRow;
+    const totalRow = document.createElement('tr');
+    addCell(totalRow, 'td', t('total'), true);
+    scoreboard.forEach(row => addCell(totalRow, 'td', formatNumber(totals[row.id] || 0), true));
+    historyTable.appendChild(totalRow);
+    // In a team game, each player's column also shows their team's total
+    if (teamTotals(scoreboard)) {
+      const pooled = [0, 0];
+      scoreboard.forEach(row => { pooled[row.team] += totals[row.id] || 0; });
+      const teamRow = document.createElement('tr');
+      teamRow.className = 'teamTotal';
+      addCell(teamRow, 'td', t('teamTotal'), true);
+      scoreboard.forEach(row => addCell(teamRow, 'td', `${teamName(row.team)}: ${formatNumber(pooled[row.team])}`));
+      historyTable.appendChild(teamRow);
+    }
     // Animate history update
     historyTable.classList.remove('fade-in');
     void historyTable.offsetWidth;
     historyTable.classList.add('fade-in');
   }
 
-  // Language selection handler
+  // Update the round label and the player's name/role line
+  function renderRoundInfo() {
+    if (tieBreak) {
+      roundLabel.textContent = `${t('roundNumber', { round: currentRound })} – ${t('tieBreakTag')}`;
+    } else if (roomSettings && roomSettings.mode === 'points') {
+      roundLabel.textContent = `${t('roundNumber', { round: currentRound })} – ${t('firstTo', { n: roomSettings.targetScore })}`;
+    } else {
+      roundLabel.textContent = t('roundOf', { round: currentRound, rounds: maxRounds });
+    }
+    const roleLabel = currentRole ? roleName(currentRole) : '';
+    playerInfo.textContent = spectating
+      ? `${t('yourName')}: ${myName} | ${t('spectatingInfo')}`
+      : `${t('yourName')}: ${myName} | ${t('yourRole')}: ${roleLabel}`;
+    spectatorInfo.hidden = spectatorCount === 0;
+    spectatorInfo.textContent = t('watching', { n: spectatorCount });
+  }
+
+  // Count down to the police's deadline.  The server's clock is used as the
+  // reference so a skewed local clock does not shorten or stretch the timer.
+  function startTurnTimer(deadline, serverTime) {
+    stopTurnTimer();
+    if (!deadline) return;
+    turnDeadline = Date.now() + (deadline - serverTime);
+    const tick = () => {
+      const secondsLeft = Math.max(0, Math.ceil((turnDeadline - Date.now()) / 1000));
+      turnTimer.textContent = t('timeLeft', { s: secondsLeft });
+      turnTimer.classList.toggle('urgent', secondsLeft <= 10);
+      if (secondsLeft === 0) stopTurnTimer();
+    };
+    turnTimer.hidden = false;
+    tick();
+    turnTimerInterval = setInterval(tick, 250);
+  }
+
+  function stopTurnTimer() {
+    clearInterval(turnTimerInterval);
+    turnTimerInterval = null;
+    turnTimer.hidden = true;
+  }
+
+  // Show the police's guess buttons for the given target and suspects
+  function showGuessOptions(data) {
+    guessSection.hidden = false;
+    // Localize the prompt: e.g. "Police: choose who you think is the Chor"
+    guessPrompt.textContent = t('policeChoose', { role: roleName(data.guessTarget) });
+    guessOptions.innerHTML = '';
+    data.suspects.forEach(sus => {
+      const btn = document.createElement('button');
+      btn.textContent = sus.name;
+      btn.addEventListener('click', () => {
+        // Send the guess by the suspect's id; the server looks up the rest
+        socket.emit('guess', { id: sus.id }, response => {
+          if (!response.ok) messageArea.textContent = errorText(response.error);
+        });
+        // Hide options after choosing
+        guessSection.hidden = true;
+        messageArea.textContent = t('waitingForPolice');
+      });
+      guessOptions.appendChild(btn);
+    });
+  }
+
+  // Show a running game to a member without a seat.  The view is the public
+  // one: hidden roles arrive masked and there is nothing to press.
+  function showSpectatorView(view) {
+    spectating = true;
+    clearGameOver();
+    lobbyScreen.hidden = true;
+    waitingScreen.hidden = true;
+    gameScreen.hidden = false;
+    currentRound = view.round;
+    maxRounds = view.maxRounds;
+    roomSettings = view.settings;
+    currentRole = '';
+    tieBreak = Boolean(view.tieBreak);
+    seedHash = view.seedHash || null;
+    dealCheck.hidden = true;
+    scoreboard = view.scoreboard;
+    history = view.history;
+    lastGains = {};
+    renderRoundInfo();
+    renderScoreboard();
+    renderHistory();
+    guessSection.hidden = true;
+    nextShuffleButton.hidden = true;
+    stopTurnTimer();
+    if (view.winners) {
+      showWinners(view.winners, view.gameSeed);
+      showGameOverActions(view.gameId);
+      showRematch(view.rematch, view.serverTime);
+    } else if (view.awaitingShuffle) {
+      messageArea.textContent = t('waitingForPolice');
+      if (!view.paused) startTurnTimer(view.turnDeadline, view.serverTime);
+    } else {
+      messageArea.textContent = '';
+    }
+    hostPaused = Boolean(view.hostPaused);
+    renderHostControls();
+  }
+
+  // Rebuild the screen from a session snapshot sent after a reconnect
+  function restoreSession(data) {
+    clearGameOver();
+    myId = data.id;
+    myName = data.name;
+    joinScreen.hidden = true;
+    leaderboardScreen.hidden = true;
+    bracket = data.tournament || bracket;
+    renderBracket();
+    if (!data.room) {
+      showLobby();
+      return;
+    }
+    myRoom = data.room.code;
+    myRoomPrivate = data.room.private;
+    myRules = data.room.rules;
+    roomSettings = data.room.settings;
+    hostId = data.room.hostId;
+    tieBreak = Boolean(data.tieBreak);
+    currentRound = data.round || 0;
+    showRoomLabel();
+    roomRulesEl.textContent = describeRules(myRules);
+    renderSettings();
+    policeDeciding = Boolean(data.awaitingShuffle && !data.winners);
+    loadChat(data.chat);
+    if (data.spectating) {
+      policeDeciding = Boolean(data.spectating.awaitingShuffle && !data.spectating.winners);
+      renderChatControls();
+      showSpectatorView(data.spectating);
+      return;
+    }
+    spectating = false;
+    lobbyScreen.hidden = true;
+    if (!data.seated || data.round === 0) {
+      // In the room but no round dealt yet: back to the waiting screen
+      gameScreen.hidden = true;
+      waitingScreen.hidden = false;
+      waitingMessage.textContent = t('waitingForPlayers');
+      updateWaitingList(data.waiting || []);
+      if (data.seated && !data.paused) showShuffle(shuffleButton);
+      return;
+    }
+    waitingScreen.hidden = true;
+    gameScreen.hidden = false;
+    currentRound = data.round;
+    maxRounds = data.maxRounds;
+    currentRole = data.role;
+    seedHash = data.seedHash || null;
+    dealCheck.hidden = true;
+    scoreboard = data.scoreboard;
+    history = data.history;
+    lastGains = {};
+    renderRoundInfo();
+    renderScoreboard();
+    renderHistory();
+    guessSection.hidden = true;
+    nextShuffleButton.hidden = true;
+    if (data.winners) {
+      showWinners(data.winners, data.gameSeed);
+      showGameOverActions(data.gameId);
+      showRematch(data.rematch, data.serverTime);
+    } else if (data.awaitingShuffle) {
+      messageArea.textContent = t('waitingForPolice');
+      if (data.policeTurn) showGuessOptions(data.policeTurn);
+      if (!data.paused) startTurnTimer(data.turnDeadline, data.serverTime);
+    } else {
+      messageArea.textContent = '';
+      if (!roomSettings.autoAdvance) showShuffle(nextShuffleButton);
+    }
+    hostPaused = Boolean(data.hostPaused);
+    renderHostControls();
+  }
+
+  // Switch the page to a language once its bundle has loaded: the <html>
+  // element takes its locale and writing direction, so Urdu lays out right
+  // to left, and everything on screen is redrawn in it
   const langSelect = document.getElementById('langSelect');
-  if (langSelect) {
-    langSelect.value = lang;
-    langSelect.addEventListener('change', () => {
-      lang = langSelect.value;
+  function setLanguage(code) {
+    return loadBundle(code).then(data => {
+      lang = code;
+      document.documentElement.lang = data.meta.locale;
+      document.documentElement.dir = data.meta.dir;
+      langSelect.value = code;
       updateStaticTexts();
       renderScoreboard();
       renderHistory();
+      renderRoomList();
       // Update round label and player info using new language
-      roundLabel.textContent = `${t('round')} ${currentRound} ${t('of')} ${maxRounds}`;
-      const roleLabel = currentRole ? roleTranslations[lang][currentRole] : '';
-      playerInfo.textContent = `${t('yourName')}: ${myName} | ${t('yourRole')}: ${roleLabel}`;
+      renderRoundInfo();
       // Update waiting message if not in game
       if (!gameScreen.hidden) {
         // Message remains but we need to translate dynamic message later on result events
@@ -350,31 +1611,460 @@
     });
   }
 
+  // Language selection handler; the choice is remembered for later visits
+  langSelect.addEventListener('change', () => {
+    const code = langSelect.value;
+    localStorage.setItem(LANG_KEY, code);
+    setLanguage(code).catch(() => {
+      langSelect.value = lang;
+    });
+  });
+
   // Handler for join button
   joinButton.addEventListener('click', () => {
     const name = nameInput.value.trim();
     if (!name) {
-    joinError.textContent = 'Please enter a name.';
+      joinError.textContent = errorText({ code: 'INVALID_NAME' });
       return;
     }
     joinError.textContent = '';
-    myName = name;
-    socket.emit('join', name);
-    // Show waiting screen
+    joinButton.disabled = true;
+    socket.emit('join', { name, profileKey: localStorage.getItem(PROFILE_KEY) }, response => {
+      joinButton.disabled = false;
+      if (!response.ok) {
+        joinError.textContent = errorText(response.error);
+        return;
+      }
+      myName = name;
+      // Show the lobby so the player can pick a table, and go straight to
+      // the table of an invite link
+      showLobby();
+      const code = joinCodeInput.value.trim();
+      if (code) socket.emit('joinRoom', { code });
+    });
+  });
+
+  // Lobby button handlers
+  createRoomButton.addEventListener('click', () => {
+    clearLobbyError();
+    socket.emit('createRoom', {
+      rules: chosenRules(),
+      private: privateCheckbox.checked,
+      password: createPasswordInput.value
+    });
+  });
+  rulesSelect.addEventListener('change', () => {
+    if (rulesSelect.value === 'custom' && rulePresets.length) {
+      fillCustomRules(rulePresets[0]);
+    }
+    customRules.hidden = rulesSelect.value !== 'custom';
+  });
+  joinRoomButton.addEventListener('click', () => {
+    const code = roomCodeInput.value.trim();
+    if (!code) return;
+    clearLobbyError();
+    socket.emit('joinRoom', { code, password: roomPasswordInput.value });
+  });
+  modeSelect.addEventListener('change', () => {
+    maxRoundsField.hidden = modeSelect.value !== 'rounds';
+    targetScoreField.hidden = modeSelect.value !== 'points';
+  });
+  saveSettingsButton.addEventListener('click', () => {
+    settingsError.textContent = '';
+    socket.emit('updateSettings', {
+      mode: modeSelect.value,
+      maxRounds: Number(maxRoundsInput.value),
+      targetScore: Number(targetScoreInput.value),
+      autoAdvance: autoAdvanceCheckbox.checked,
+      advanceDelayMs: Math.round(Number(advanceDelayInput.value) * 1000),
+      resultDisplayMs: Math.round(Number(resultDisplayInput.value) * 1000),
+      guessTimeoutMs: Math.round(Number(guessTimeoutInput.value) * 1000),
+      timeoutOutcome: timeoutOutcomeSelect.value,
+      substituteScore: substituteScoreSelect.value,
+      muteChatWhileGuessing: muteChatCheckbox.checked,
+      teams: teamsCheckbox.checked,
+      // An emptied field switches seeding off
+      seed: seedEdited ? seedInput.value : undefined
+    });
+  });
+  seedInput.addEventListener('input', () => { seedEdited = true; });
+  chatSendButton.addEventListener('click', () => {
+    const text = chatInput.value.trim();
+    if (!text) return;
+    sendChat({ text });
+    chatInput.value = '';
+  });
+  chatInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') chatSendButton.click();
+  });
+  profileButton.addEventListener('click', () => {
+    socket.emit('getProfile');
+    lobbyScreen.hidden = true;
+    profileScreen.hidden = false;
+  });
+  profileBackButton.addEventListener('click', () => {
+    showLobby();
+  });
+  leaderboardButton.addEventListener('click', () => {
     joinScreen.hidden = true;
-    waitingScreen.hidden = false;
-    waitingMessage.textContent = t('waitingForPlayers');
+    leaderboardScreen.hidden = false;
+    loadLeaderboard(1);
+  });
+  periodSelect.addEventListener('change', () => loadLeaderboard(1));
+  metricSelect.addEventListener('change', () => loadLeaderboard(1));
+  prevPageButton.addEventListener('click', () => loadLeaderboard(leaderboardPage - 1));
+  nextPageButton.addEventListener('click', () => loadLeaderboard(leaderboardPage + 1));
+  leaderboardBackButton.addEventListener('click', () => {
+    leaderboardScreen.hidden = true;
+    joinScreen.hidden = false;
+  });
+  replayButton.addEventListener('click', startReplay);
+  replayPrevButton.addEventListener('click', () => showReplayStep(replayIndex - 1));
+  replayNextButton.addEventListener('click', () => showReplayStep(replayIndex + 1));
+  replayExitButton.addEventListener('click', stopReplay);
+  addBotButton.addEventListener('click', () => {
+    botError.textContent = '';
+    socket.emit('addBot', { strategy: botStrategySelect.value });
+  });
+  createTournamentButton.addEventListener('click', () => {
+    clearLobbyError();
+    socket.emit('createTournament', {
+      name: tournamentNameInput.value,
+      advance: Number(advanceSelect.value),
+      rules: chosenRules(),
+      settings: { mode: 'rounds', maxRounds: Number(tournamentRoundsInput.value) }
+    }, showLobbyError);
+  });
+  startTournamentButton.addEventListener('click', () => {
+    bracketError.textContent = '';
+    socket.emit('startTournament', response => {
+      if (!response.ok) bracketError.textContent = errorText(response.error);
+    });
+  });
+  leaveTournamentButton.addEventListener('click', () => {
+    bracketError.textContent = '';
+    if (bracket.status === 'finished') {
+      // The server has already let the finished tournament go
+      bracket = null;
+      renderBracket();
+      return;
+    }
+    socket.emit('leaveTournament', { code: bracket.code }, response => {
+      if (!response.ok) {
+        bracketError.textContent = errorText(response.error);
+        return;
+      }
+      bracket = null;
+      renderBracket();
+    });
+  });
+  announcementClose.addEventListener('click', () => {
+    announcement.hidden = true;
+  });
+  leaveRoomButton.addEventListener('click', () => {
+    socket.emit('leaveRoom');
+    showLobby();
   });
 
   // Socket events
   socket.on('connect', () => {
-    myId = socket.id;
+    // Try to reclaim a previous session (page reload or dropped connection)
+    const token = localStorage.getItem(SESSION_KEY);
+    if (token) {
+      socket.emit('resume', { token });
+    }
+  });
+
+  // Session issued on join: remember the token for reconnects
+  socket.on('session', data => {
+    myId = data.id;
+    localStorage.setItem(SESSION_KEY, data.token);
+  });
+
+  // Lifetime profile: keep its key so future visits add to the same stats
+  socket.on('profile', data => {
+    localStorage.setItem(PROFILE_KEY, data.key);
+  });
+
+  socket.on('profileStats', data => {
+    myProfile = data;
+    renderProfile();
+  });
+
+  socket.on('resumed', data => {
+    restoreSession(data);
+  });
+
+  // Forget the session and start over from the join screen
+  function showJoinScreen() {
+    localStorage.removeItem(SESSION_KEY);
+    myId = null;
+    myRoom = null;
+    bracket = null;
+    renderBracket();
+    loadChat([]);
+    lobbyScreen.hidden = true;
+    profileScreen.hidden = true;
+    waitingScreen.hidden = true;
+    gameScreen.hidden = true;
+    joinScreen.hidden = false;
+  }
+
+  // The server no longer knows this session
+  socket.on('resumeFailed', showJoinScreen);
+
+  // An administrator disconnected this player
+  socket.on('removedByAdmin', () => {
+    stopTurnTimer();
+    showJoinScreen();
+    joinError.textContent = t('removedByAdmin');
+  });
+
+  // A message from the server's administrators to every player
+  socket.on('announcement', data => {
+    announcementText.textContent = `📢 ${data.text}`;
+    announcement.hidden = false;
+  });
+
+  // A seated player dropped (their seat is held) or the host paused the
+  // game; the table waits
+  socket.on('gamePaused', data => {
+    stopTurnTimer();
+    hostPaused = Boolean(data.byHost);
+    renderHostControls();
+    messageArea.textContent = data.names.length > 0
+      ? t('waitingReconnect', { names: data.names.join(', ') })
+      : t('pausedByHost');
+    waitingMessage.textContent = messageArea.textContent;
+  });
+
+  socket.on('gameResumed', () => {
+    messageArea.textContent = hostPaused ? t('hostResumedGame') : t('gameResumed');
+    hostPaused = false;
+    renderHostControls();
+    if (!waitingScreen.hidden) waitingMessage.textContent = t('waitingForPlayers');
+  });
+
+  // A host action was added to the round history
+  socket.on('historyUpdate', data => {
+    history = data.history;
+    if (!replaySteps) renderHistory();
+  });
+
+  // The table changed in several ways at once (a seat changed hands):
+  // rebuild the screen from a fresh snapshot
+  socket.on('tableState', data => {
+    stopTurnTimer();
+    restoreSession(data);
   });
 
-  // Update lobby names when players join/leave
-  socket.on('updatePlayers', names => {
+  // The host removed this player from the table
+  socket.on('kicked', data => {
+    stopTurnTimer();
+    currentRound = 0;
+    showLobby();
+    lobbyError.textContent = t('kicked', { code: data.code });
+  });
+
+  // Room list for the lobby screen
+  socket.on('roomList', list => {
+    roomList = list || [];
+    if (!lobbyScreen.hidden) renderRoomList();
+  });
+
+  // Tournament list for the lobby screen
+  socket.on('tournamentList', list => {
+    tournamentList = list || [];
+    if (!lobbyScreen.hidden) renderTournamentList();
+  });
+
+  // The bracket of the tournament this client is entered in or following
+  socket.on('tournamentUpdate', data => {
+    bracket = data;
+    bracketError.textContent = '';
+    renderBracket();
+  });
+
+  // This tournament table's game ended level on a place that goes through:
+  // it plays on a round at a time until the tie is broken
+  socket.on('tieBreak', data => {
+    tieBreak = true;
+    history = data.history;
+    renderRoundInfo();
+    if (!replaySteps) renderHistory();
+    messageArea.textContent = `${messageArea.textContent} ${t('tieBreak', { names: data.names.join(', ') })}`;
+  });
+
+  // Every table of the tournament stage has finished and this one has been
+  // cleared; qualifiers are seated at their next table shortly
+  socket.on('tableClosed', () => {
+    stopTurnTimer();
+    currentRound = 0;
+    showLobby();
+    lobbyMessage.textContent = t('tableClosed');
+  });
+
+  // Rule presets for the create‑table form
+  socket.on('rulePresets', presets => {
+    rulePresets = presets || [];
+    renderRulesSelect();
+  });
+
+  // Entered a room: show its waiting screen
+  socket.on('roomJoined', data => {
+    myRoom = data.code;
+    myRoomPrivate = data.private;
+    myRules = data.rules;
+    roomSettings = data.settings;
+    hostId = data.hostId;
+    tieBreak = false;
+    currentRound = 0;
+    roomPasswordInput.value = '';
+    createPasswordInput.value = '';
+    renderSettings();
+    policeDeciding = false;
+    loadChat(data.chat);
+    lobbyScreen.hidden = true;
+    waitingScreen.hidden = false;
+    showRoomLabel();
+    roomRulesEl.textContent = describeRules(myRules);
+    waitingMessage.textContent = t('waitingForPlayers');
+    updateWaitingList([]);
+  });
+
+  // Table chat
+  socket.on('chatMessage', msg => {
+    chatMessages.push(msg);
+    if (chatMessages.length > CHAT_HISTORY) chatMessages.shift();
+    renderChat();
+  });
+
+  socket.on('chatError', data => {
+    const keys = { muted: 'chatMuted', rateLimited: 'chatRateLimited', tooLong: 'chatTooLong' };
+    chatError.textContent = data && keys[data.reason] ? t(keys[data.reason]) : '';
+  });
+
+  // The table's code, marked when private, and the link that invites
+  // others to it
+  function showRoomLabel() {
+    roomLabel.textContent = `${t('table')}: ${myRoom}${myRoomPrivate ? ` (${t('privateTag')})` : ''}`;
+    inviteLinkInput.value = `${window.location.origin}${window.location.pathname}?room=${myRoom}`;
+  }
+
+  copyInviteButton.addEventListener('click', () => {
+    inviteLinkInput.select();
+    const done = () => {
+      copyInviteButton.textContent = t('copied');
+      setTimeout(() => { copyInviteButton.textContent = t('copy'); }, 1500);
+    };
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(inviteLinkInput.value).then(done, () => {});
+    } else if (document.execCommand('copy')) {
+      done();
+    }
+  });
+
+  // Clear the lobby's error line and any offered names
+  function clearLobbyError() {
+    lobbyError.textContent = '';
+    nameSuggestions.innerHTML = '';
+    nameSuggestions.hidden = true;
+  }
+
+  // Acknowledgement handler for lobby actions: show a refusal in the lobby
+  function showLobbyError(response) {
+    if (!response.ok) lobbyError.textContent = errorText(response.error);
+  }
+
+  // The player's name is taken at the table they tried to join: offer the
+  // server's free alternatives, each of which renames and joins in one go
+  function showNameSuggestions(data) {
+    lobbyError.textContent = t('nameTaken', { name: myName });
+    nameSuggestions.innerHTML = '';
+    (data.suggestions || []).forEach(suggestion => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-secondary';
+      btn.textContent = suggestion;
+      btn.addEventListener('click', () => {
+        socket.emit('join', { name: suggestion }, response => {
+          if (!response.ok) {
+            lobbyError.textContent = errorText(response.error);
+            return;
+          }
+          myName = suggestion;
+          clearLobbyError();
+          socket.emit('joinRoom', { code: data.code, password: roomPasswordInput.value });
+        });
+      });
+      nameSuggestions.appendChild(btn);
+    });
+    nameSuggestions.hidden = nameSuggestions.children.length === 0;
+  }
+
+  socket.on('roomError', data => {
+    if (data && data.reason === 'nameTaken') {
+      showNameSuggestions(data);
+    } else if (data && (data.reason === 'passwordRequired' || data.reason === 'wrongPassword')) {
+      // Ask for the password with the table's code filled in
+      lobbyError.textContent = t(data.reason);
+      roomCodeInput.value = data.code;
+      roomPasswordInput.value = '';
+      roomPasswordInput.focus();
+    } else if (data && data.reason === 'kicked') {
+      lobbyError.textContent = t('kicked', { code: data.code });
+    } else if (data && data.reason === 'invalidPassword') {
+      lobbyError.textContent = t('invalidPassword');
+    } else if (data && data.reason === 'notFound') {
+      lobbyError.textContent = t('roomNotFound');
+    } else if (data && data.reason === 'invalidRules') {
+      lobbyError.textContent = t('invalidRules');
+    } else if (data && (data.reason === 'invalidSettings' || data.reason === 'settingsLocked')) {
+      settingsError.textContent = t(data.reason);
+    } else if (data && data.reason === 'tableFull') {
+      botError.textContent = t('tableFull');
+    } else if (data && data.reason === 'refused') {
+      // Refused before it was handled (a malformed payload, or too many
+      // events at once), by an event that takes no acknowledgement
+      if (data.event === 'updateSettings') {
+        settingsError.textContent = errorText(data.error);
+      } else if (!lobbyScreen.hidden) {
+        lobbyError.textContent = errorText(data.error);
+      } else {
+        showActionError({ ok: false, error: data.error });
+      }
+    }
+  });
+
+  // The host changed the table's settings, or the host role moved
+  socket.on('roomSettings', data => {
+    roomSettings = data.settings;
+    hostId = data.hostId;
+    settingsError.textContent = '';
+    renderSettings();
+    renderChatControls();
+    updateWaitingList(waitingPlayers);
+    // The host badge and the host's buttons may have moved
+    if (!gameScreen.hidden) renderScoreboard();
+    renderHostControls();
+  });
+
+  // Arrived while a game is running: watch it
+  socket.on('spectate', view => {
+    policeDeciding = Boolean(view.awaitingShuffle && !view.winners);
+    renderChatControls();
+    showSpectatorView(view);
+  });
+
+  socket.on('spectatorCount', data => {
+    spectatorCount = data.count;
+    renderRoundInfo();
+  });
+
+  // Update room names when players join/leave
+  socket.on('updatePlayers', entries => {
+    botError.textContent = '';
     if (waitingScreen.hidden) return;
-    updateWaitingList(names);
+    updateWaitingList(entries);
   });
 
   // Enable shuffle button (start next round)
@@ -399,16 +2089,19 @@
     // Update state
     currentRound = data.round;
     maxRounds = data.maxRounds;
+    roomSettings = data.settings;
     scoreboard = data.scoreboard;
     history = data.history;
-    // Extract my role
+    // Extract my role; spectators have none
+    spectating = Boolean(data.spectating);
+    seedHash = data.seedHash || null;
+    dealCheck.hidden = true;
+    clearGameOver();
     const me = scoreboard.find(r => r.id === myId);
     currentRole = me ? me.role : '';
     // Update UI
     // Localize round and player info labels
-    roundLabel.textContent = `${t('round')} ${currentRound} ${t('of')} ${maxRounds}`;
-    const roleLabel = currentRole ? roleTranslations[lang][currentRole] : '';
-    playerInfo.textContent = `${t('yourName')}: ${myName} | ${t('yourRole')}: ${roleLabel}`;
+    renderRoundInfo();
     renderScoreboard();
     renderHistory();
     // Clear last gains at the beginning of a round so no rows are highlighted
@@ -437,99 +2130,55 @@
     // Reset guess and messages
     guessSection.hidden = true;
     guessOptions.innerHTML = '';
-    messageArea.textContent = 'Waiting for Police to guess…';
+    messageArea.textContent = t('waitingForPolice');
     nextShuffleButton.hidden = true;
-    // Hide restart button at the start of a new round
-    if (restartButton) {
-      restartButton.hidden = true;
-      restartButton.disabled = false;
-    }
+    renderHostControls();
   });
 
   // Police's turn: show guess options
   socket.on('policeTurn', data => {
     if (data && data.guessTarget && data.suspects) {
-      // Only show to police
+      // Everyone sees the countdown; only the police gets the guess buttons
+      startTurnTimer(data.turnDeadline, data.serverTime);
+      policeDeciding = true;
+      renderChatControls();
       if (currentRole === 'Police') {
-        guessSection.hidden = false;
-        // Localize the prompt: e.g. "Police: Choose who you think is Chor"
-        const target = roleTranslations[lang][data.guessTarget] || data.guessTarget;
-        guessPrompt.textContent = `${t('policeChoose')}${target}`;
-        guessOptions.innerHTML = '';
-        data.suspects.forEach(sus => {
-          const btn = document.createElement('button');
-          btn.textContent = sus.name;
-          btn.addEventListener('click', () => {
-            // Send guess; provide both id and name for safety
-            socket.emit('guess', { id: sus.id, name: sus.name });
-            // Hide options after choosing
-            guessSection.hidden = true;
-            messageArea.textContent = t('waitingForPolice');
-          });
-          guessOptions.appendChild(btn);
-        });
+        showGuessOptions(data);
       }
     }
   });
 
   // Round result: show message, update scoreboard & history, enable shuffle for next round
   socket.on('roundResult', data => {
+    stopTurnTimer();
+    policeDeciding = false;
+    renderChatControls();
+    guessSection.hidden = true;
     currentRound = data.round;
     scoreboard = data.scoreboard;
     history = data.history;
     // Update UI
-    roundLabel.textContent = `${t('round')} ${currentRound} ${t('of')} ${maxRounds}`;
     const me = scoreboard.find(r => r.id === myId);
     currentRole = me ? me.role : '';
-    const roleLabel2 = currentRole ? roleTranslations[lang][currentRole] : '';
-    playerInfo.textContent = `${t('yourName')}: ${myName} | ${t('yourRole')}: ${roleLabel2}`;
+    renderRoundInfo();
     renderScoreboard();
     renderHistory();
-    // Construct a localized message based on the guess outcome and target role
-    let msg = data.message;
-    try {
-      const map = translations[lang] || translations.en;
-      if (data.targetRole && data.policeName && data.chorName && data.dakatName) {
-        if (data.targetRole === 'Chor') {
-          if (data.correct) {
-            msg = map.correctChor
-              .replace('{police}', data.policeName)
-              .replace('{player}', data.chorName);
-          } else {
-            msg = map.incorrectChor
-              .replace('{police}', data.policeName)
-              .replace('{chor}', data.chorName)
-              .replace('{dakat}', data.dakatName);
-          }
-        } else if (data.targetRole === 'Dakat') {
-          if (data.correct) {
-            msg = map.correctDakat
-              .replace('{police}', data.policeName)
-              .replace('{player}', data.dakatName);
-          } else {
-            msg = map.incorrectDakat
-              .replace('{police}', data.policeName)
-              .replace('{dakat}', data.dakatName)
-              .replace('{chor}', data.chorName);
-          }
-        }
-      }
-    } catch (_) {
-      // fall back to server‑provided message
-    }
-    // Show message
-    messageArea.textContent = msg;
+    // The server sends the outcome as a translation key and its parameters
+    messageArea.textContent = messageText(data.message, data.timedOut);
+    verifyDeal(data.seed, seedHash, data.scoreboard);
     // Play beep: high tone if correct, low tone if wrong
     playBeep(data.correct ? 880 : 220, 300);
     // Show a brief overlay with the outcome and launch confetti on correct guesses
-    const resultMsg = data.correct ? (lang === 'bn' ? 'সঠিক অনুমান!' : 'Correct Guess!') : (lang === 'bn' ? 'ভুল অনুমান!' : 'Wrong Guess!');
-    showOverlay(resultMsg, 1500);
+    showOverlay(t(data.correct ? 'correctGuess' : 'wrongGuess'), roomSettings ? roomSettings.resultDisplayMs : 1500);
     if (data.correct) {
       launchConfetti();
     }
-    // Enable shuffle for next round
-    nextShuffleButton.hidden = false;
-    nextShuffleButton.disabled = false;
+    // Enable shuffle for next round unless the server deals it automatically
+    // or this client is only watching
+    if (!spectating && (!roomSettings || !roomSettings.autoAdvance)) {
+      nextShuffleButton.hidden = false;
+      nextShuffleButton.disabled = false;
+    }
 
     // Record gains from the most recent round for highlighting.  The
     // history array holds entries with a gains array; the last entry
@@ -543,83 +2192,141 @@
         });
       }
     }
-    // Ensure restart button is hidden until the game ends
-    if (restartButton) {
-      restartButton.hidden = true;
-      restartButton.disabled = false;
-    }
   });
 
   // Game over: show final result and reset UI to waiting for shuffle
   socket.on('gameOver', data => {
+    tieBreak = false;
     scoreboard = data.scoreboard;
     history = data.history;
     renderScoreboard();
     renderHistory();
     // Show final message
-    messageArea.innerHTML = `<strong>Game Over!</strong> Winners: ${data.winners.join(', ')}`;
+    showWinners(data.winners, data.gameSeed);
+    showGameOverActions(data.gameId);
+    renderHostControls();
     // Play celebration beep
     playBeep(660, 400);
     playBeep(880, 400);
     // Show celebratory overlay and confetti
-    const winText = (lang === 'bn' ? 'অভিনন্দন!' : 'Congratulations!') + ' ' + data.winners.join(', ');
-    showOverlay(winText, 3000);
+    showOverlay(t('congratulations', { names: data.winners.join(', ') }), 3000);
     launchConfetti();
     nextShuffleButton.hidden = true;
-    // Show restart button with translated label
-    if (restartButton) {
-      restartButton.hidden = false;
-      restartButton.disabled = false;
-      restartButton.textContent = t('restartGame');
-    }
+    // The rematch vote follows in a rematchStatus event
+  });
+
+  // The rematch vote opened, or someone answered it
+  socket.on('rematchStatus', data => {
+    restartButton.disabled = false;
+    declineRematchButton.disabled = false;
+    showRematch(data, data.serverTime);
+  });
+
+  // This player declined the rematch, or did not answer in time, and has
+  // left the table
+  socket.on('rematchLeft', data => {
+    stopTurnTimer();
+    currentRound = 0;
+    showLobby();
+    lobbyMessage.textContent = t('rematchLeft', { name: data.name });
   });
 
   // A player left; show message and return to waiting screen
   socket.on('playerLeft', data => {
-    messageArea.textContent = data.message || t('aPlayerLeft');
+    stopTurnTimer();
+    messageArea.textContent = data.message ? messageText(data.message) : t('aPlayerLeft');
     // Reset UI back to waiting screen so players can rejoin
     joinScreen.hidden = true;
     gameScreen.hidden = true;
     waitingScreen.hidden = false;
     waitingMessage.textContent = t('aPlayerLeft');
     updateWaitingList([]);
-    // Hide restart button when a player leaves
-    if (restartButton) {
-      restartButton.hidden = true;
-      restartButton.disabled = false;
-    }
+    shuffleButton.hidden = true;
+    currentRound = 0;
+    hostPaused = false;
+    policeDeciding = false;
+    spectating = false;
+    clearGameOver();
+    renderSettings();
+    renderChatControls();
   });
 
-  // If the server resets the game while players are waiting (e.g. after game over)
-  socket.on('gameReset', () => {
+  // If the server resets the game while players are waiting (after the
+  // rematch vote, or an administrator ended it; both come with a message)
+  socket.on('gameReset', data => {
+    stopTurnTimer();
     // Reset UI to waiting screen
     joinScreen.hidden = true;
     gameScreen.hidden = true;
     waitingScreen.hidden = false;
-    waitingMessage.textContent = t('waitingForPlayers');
+    waitingMessage.textContent = data && data.message ? messageText(data.message) : t('waitingForPlayers');
     updateWaitingList([]);
-    // Hide restart button after reset
-    if (restartButton) {
-      restartButton.hidden = true;
-      restartButton.disabled = false;
-    }
+    shuffleButton.hidden = true;
+    currentRound = 0;
+    hostPaused = false;
+    policeDeciding = false;
+    spectating = false;
+    clearGameOver();
+    renderSettings();
+    renderChatControls();
   });
 
   // Shuffle button handlers
+  // Shuffle button handlers.  A refused shuffle (say, while the game is
+  // paused) explains why and lets the player try again.
   shuffleButton.addEventListener('click', () => {
     shuffleButton.disabled = true;
-    socket.emit('shuffle');
+    socket.emit('shuffle', response => {
+      if (response.ok) return;
+      shuffleButton.disabled = false;
+      waitingMessage.textContent = errorText(response.error);
+    });
   });
   nextShuffleButton.addEventListener('click', () => {
     nextShuffleButton.disabled = true;
-    socket.emit('shuffle');
+    socket.emit('shuffle', response => {
+      if (response.ok) return;
+      nextShuffleButton.disabled = false;
+      messageArea.textContent = errorText(response.error);
+    });
+  });
+
+  // The host pauses the game, or resumes it
+  hostPauseButton.addEventListener('click', () => {
+    hostPauseButton.disabled = true;
+    socket.emit(hostPaused ? 'resumeGame' : 'pauseGame', response => {
+      hostPauseButton.disabled = false;
+      showActionError(response);
+    });
   });
 
-  // Restart button handler: when clicked after a game ends, request a restart
-  if (restartButton) {
-    restartButton.addEventListener('click', () => {
-      restartButton.disabled = true;
-      socket.emit('restart');
+  // Answer the rematch vote.  The buttons go once the server sends the new
+  // tally; a refused answer explains why.
+  function voteRematch(accept) {
+    restartButton.disabled = true;
+    declineRematchButton.disabled = true;
+    socket.emit('rematchVote', { accept }, response => {
+      if (response.ok) return;
+      restartButton.disabled = false;
+      declineRematchButton.disabled = false;
+      messageArea.textContent = errorText(response.error);
     });
   }
+  restartButton.addEventListener('click', () => voteRematch(true));
+  declineRematchButton.addEventListener('click', () => voteRematch(false));
+
+  // An invite link fills in the table code on the join and lobby screens
+  joinCodeInput.value = invitedCode;
+  roomCodeInput.value = invitedCode;
+
+  // Emote buttons are built here and relabelled when the language changes
+  renderEmoteBar();
+
+  // Load English, the fallback for missing strings, and the player's
+  // language before connecting, so the first messages from the server
+  // arrive translated.  The game still connects if a bundle fails to load.
+  loadBundle('en')
+    .then(() => setLanguage(detectLanguage()))
+    .catch(() => {})
+    .then(() => socket.connect());
 })();
\ No newline at end of file
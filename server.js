@@ -2,26 +2,51 @@ const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const rooms = require('./server/rooms');
+const { scoreboardView } = require('./server/views');
+const rules = require('./server/rules');
+const settings = require('./server/settings');
+const chat = require('./server/chat');
+const profiles = require('./server/profiles');
+const { leaderboard } = require('./server/leaderboard');
+const bots = require('./server/bots');
+const deal = require('./server/deal');
+const replays = require('./server/replays');
+const game = require('./server/game');
+const acks = require('./server/acks');
+const names = require('./server/names');
+const teams = require('./server/teams');
+const tournaments = require('./server/tournaments');
+const admin = require('./server/admin');
+const guard = require('./server/guard');
+const audit = require('./server/audit');
+const rematch = require('./server/rematch');
 
 /*
  * Chor–Dakat–Babu–Police multiplayer game server
  *
- * This server hosts a simple yet feature‑rich four‑player game.  After four
- * players join, everyone must click a shuffle button to begin the round.
- * Each round randomly assigns one Babu (receives 900 points immediately),
- * one Police (800 points pending), one Chor (400 points pending) and one
- * Dakat (600 points pending).  The police must identify either the Chor
- * or the Dakat depending on whether the round is odd or even.  Points are
- * awarded based on the guess result:
+ * This server hosts a simple yet feature‑rich four‑player game.  Players
+ * pick a name, then create or join a room (table) from the lobby; every room
+ * runs its own game so several tables can play at once.  After four
+ * players are seated, everyone must click a shuffle button to begin the round.
+ * Each round randomly assigns one Babu, one Police, one Chor and one Dakat.
+ * The police must identify the role the table's rules name as this round's
+ * target.  How many points each role is worth and how a guess is scored
+ * are chosen by the host from the presets in server/rules.js; with the
+ * default "classic" rules:
  *   Round 1,3,5,…: Police guesses the Chor.  If correct, police gets 800 and
  *      Dakat gets 600; Chor gets 0.  If wrong, police gets 0, Chor gets 400
  *      and Dakat gets 600.
  *   Round 2,4,6,…: Police guesses the Dakat.  If correct, police gets 800 and
  *      Chor gets 400; Dakat gets 0.  If wrong, police gets 0, Chor gets 400
  *      and Dakat gets 600.
- * Babu always receives their 900 points when roles are assigned at the start
- * of each round.  After ten rounds the game ends and the highest scoring
- * player(s) win.  All scores and history reset for the next game.
+ * Babu always receives their points (900 in classic) when roles are
+ * assigned at the start of each round.  The host decides how long a game
+ * lasts (ten rounds by default, or until someone reaches a target score)
+ * and whether rounds are dealt automatically; see server/settings.js.
+ * When the game ends the highest scoring player(s) win.  All scores and
+ * history reset for the next game.
  */
 
 const app = express();
@@ -33,164 +58,636 @@ const PORT = process.env.PORT || 3000;
 // Serve static assets from the client folder
 app.use(express.static(path.join(__dirname, 'client')));
 
-// Player registry.  Each connected socket gets an entry here keyed by its id.
+// Leaderboards: GET /api/leaderboard?period=week|all&metric=wins|points|policeAccuracy&page=1&pageSize=20
+app.get('/api/leaderboard', (req, res) => {
+  const result = leaderboard(req.query);
+  if (result.error) {
+    res.status(400).json(result);
+    return;
+  }
+  res.json(result);
+});
+
+// Finished games: GET /api/games/:id for the JSON event log, or
+// GET /api/games/:id?format=csv for one row per player per round
+app.get('/api/games/:id', (req, res) => {
+  replays.loadLog(req.params.id, (err, log) => {
+    if (err) {
+      res.status(500).json({ error: 'unavailable' });
+    } else if (!log) {
+      res.status(404).json({ error: 'notFound' });
+    } else if (req.query.format === 'csv') {
+      res.type('text/csv').send(replays.toCsv(log));
+    } else {
+      res.json(log);
+    }
+  });
+});
+
+// Admin dashboard and its API, open only to the holder of ADMIN_TOKEN (see
+// server/admin.js).  The GET routes report the live state: connected
+// sockets, the queue waiting at each table, every table's game, recent
+// departures from games in play and recently refused events.  The POST
+// routes end a game, disconnect a socket or show an announcement to
+// everyone.
+app.get('/admin', admin.requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin', 'index.html'));
+});
+
+app.get('/api/admin/sockets', admin.requireAdmin, (req, res) => {
+  res.json(adminSocketsView());
+});
+
+app.get('/api/admin/queue', admin.requireAdmin, (req, res) => {
+  res.json(adminQueueView());
+});
+
+app.get('/api/admin/games', admin.requireAdmin, (req, res) => {
+  res.json(adminGamesView());
+});
+
+app.get('/api/admin/departures', admin.requireAdmin, (req, res) => {
+  res.json(admin.recentDepartures());
+});
+
+app.get('/api/admin/audit', admin.requireAdmin, (req, res) => {
+  res.json(audit.recentEntries());
+});
+
+app.post('/api/admin/games/:code/end', admin.requireAdmin, (req, res) => {
+  const room = rooms.getRoom(req.params.code);
+  if (!room) {
+    res.status(404).json({ error: 'notFound' });
+  } else if (!endGameByAdmin(room)) {
+    res.status(409).json({ error: 'notStarted' });
+  } else {
+    res.json({ ok: true });
+  }
+});
+
+app.post('/api/admin/sockets/:id/kick', admin.requireAdmin, (req, res) => {
+  const socket = io.sockets.sockets.get(req.params.id);
+  if (!socket) {
+    res.status(404).json({ error: 'notFound' });
+    return;
+  }
+  disconnectByAdmin(socket);
+  res.json({ ok: true });
+});
+
+// POST /api/admin/announcements with a JSON body { text }
+app.post('/api/admin/announcements', admin.requireAdmin, express.json(), (req, res) => {
+  const text = admin.cleanAnnouncement(req.body && req.body.text);
+  if (!text) {
+    res.status(400).json({ error: 'invalidText' });
+    return;
+  }
+  io.emit('announcement', { text });
+  res.json({ ok: true });
+});
+
+// Player registry keyed by a stable player id issued on `join`.  The id is
+// public (it appears in scoreboards); the session `token` is secret and is
+// what a reconnecting browser presents to reclaim the player.  `socketId` is
+// the player's current connection and `room` holds the join code of the room
+// the player is in, or null while they are still in the lobby.  Every socket
+// joins a channel named after its player id so `io.to(playerId)` reaches it.
 const players = {};
-// Waiting queue for players who have joined but are not currently in a game.
-let waiting = [];
-// Currently active players in a game (exactly four ids when a game is running).
-let currentPlayers = [];
-// Flag indicating whether a game is underway.
-let gameStarted = false;
-// Flag indicating whether the game is currently waiting on a round to finish.
-// While `awaitingShuffle` is true the shuffle button is disabled; once a
-// round is resolved the flag is cleared so players can start the next round.
-let awaitingShuffle = false;
-// Current round number (1‑based).
-let currentRound = 0;
-// Maximum number of rounds per game.
-const MAX_ROUNDS = 10;
-// History of each round's results.  An array of objects with shape:
-// { round, message, gains: [{ id, name, points }], correct }
-let history = [];
-
-// Role names and their pending point values.  Babu's points are awarded
-// immediately when roles are assigned.  Others are awarded based on guess
-// outcomes.
-const rolePoints = {
-  Babu: 900,
-  Police: 800,
-  Chor: 400,
-  Dakat: 600
-};
-
-/**
- * Assigns roles randomly to the four current players.  Babu receives their
- * points immediately.  Others have pending points that will be granted based
- * on the police's guess.  Also clears the awaitingShuffle flag.
- */
-function assignRoles() {
-  const roles = ['Babu', 'Police', 'Chor', 'Dakat'];
-  const shuffled = roles.sort(() => Math.random() - 0.5);
-  currentPlayers.forEach((id, idx) => {
+// Grace timers for seated players who lost their connection, keyed by
+// player id.
+const graceTimers = {};
+// Socket.IO channel for named players browsing the lobby.
+const LOBBY = 'lobby';
+// Timers that deal the next round automatically, keyed by room code.
+const advanceTimers = {};
+// Police guess countdowns, keyed by room code.
+const turnTimers = {};
+// Timers that close rematch votes, keyed by room code.
+const rematchTimers = {};
+// How long a disconnected player's seat is held before the game is reset.
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60 * 1000;
+// Pause between the last table of a tournament stage finishing and the
+// next stage being seated, so everyone can see the results.
+const TOURNAMENT_BREAK_MS = Number(process.env.TOURNAMENT_BREAK_MS) || 10 * 1000;
+// How long players have to answer "Rematch?" once a game ends.
+const REMATCH_TIMEOUT_MS = Number(process.env.REMATCH_TIMEOUT_MS) || 30 * 1000;
+
+/**
+ * Sends the lobby's lists of tables and tournaments.
+ *
+ * @param {object} target – a socket, or a channel from io.to()
+ */
+function sendLobby(target) {
+  target.emit('roomList', rooms.listRooms());
+  target.emit('tournamentList', tournaments.listTournaments());
+}
+
+/**
+ * Sends the current room list to everyone browsing the lobby.
+ */
+function broadcastRoomList() {
+  sendLobby(io.to(LOBBY));
+}
+
+/**
+ * Public view of a room's waiting members, in join order.
+ *
+ * @param {object} room
+ * @returns {Array<{ id: string, name: string, bot: boolean, team: number|null }>}
+ */
+function waitingView(room) {
+  return room.waiting
+    .filter(id => players[id].name)
+    .map(id => ({
+      id,
+      name: players[id].name,
+      bot: Boolean(players[id].bot),
+      // The team asked for, in a table that plays in teams
+      team: teams.isValidTeam(players[id].team) ? players[id].team : null
+    }));
+}
+
+/**
+ * Names of a room's members other than one player, for spotting duplicates.
+ *
+ * @param {object} room
+ * @param {string} exceptId – the player whose own name is ignored
+ * @returns {string[]}
+ */
+function namesInRoom(room, exceptId) {
+  return rooms.members(room).filter(id => id !== exceptId).map(id => players[id].name);
+}
+
+/**
+ * Number of people watching a room's game without a seat.  Before a game
+ * starts nobody is spectating; everyone is simply waiting to be seated.
+ *
+ * @param {object} room
+ * @returns {number}
+ */
+function spectatorCount(room) {
+  if (!game.isStarted(room.game)) return 0;
+  return room.waiting.filter(id => !players[id].bot).length;
+}
+
+/**
+ * Sends a room's waiting members, and how many of them are spectating, to
+ * everyone in that room.
+ *
+ * @param {object} room
+ */
+function updateRoomPlayers(room) {
+  io.to(room.code).emit('updatePlayers', waitingView(room));
+  io.to(room.code).emit('spectatorCount', { count: spectatorCount(room) });
+}
+
+/**
+ * Sends a room's settings, current host and tournament (if it is still a
+ * tournament table) to everyone in the room.
+ *
+ * @param {object} room
+ */
+function broadcastRoomSettings(room) {
+  io.to(room.code).emit('roomSettings', {
+    settings: settings.publicSettings(room.settings),
+    hostId: room.hostId,
+    tournament: room.tournament
+  });
+}
+
+/**
+ * Returns the player record bound to a socket, if it has joined.
+ *
+ * @param {object} socket
+ * @returns {object|undefined}
+ */
+function playerOf(socket) {
+  return players[socket.data.playerId];
+}
+
+/**
+ * Builds the scoreboard for a room's table with full role information and
+ * current scores.  This is the server's private copy; pass it through
+ * scoreboardView() before sending it to anyone.
+ *
+ * @param {object} room
+ * @returns {Array<{ id: string, name: string, role: string, score: number, bot: boolean, team: number|null }>}
+ */
+function buildScoreboard(room) {
+  return room.currentPlayers.map(id => ({
+    id,
+    name: players[id].name,
+    role: players[id].role,
+    score: players[id].score,
+    bot: Boolean(players[id].bot),
+    team: room.teams ? room.teams[id] : null
+  }));
+}
+
+/**
+ * Seated players' scores by player id.
+ *
+ * @param {object} room
+ * @returns {Object<string, number>}
+ */
+function scoresOf(room) {
+  const scores = {};
+  room.currentPlayers.forEach(id => { scores[id] = players[id].score; });
+  return scores;
+}
+
+/**
+ * Builds the police prompt for the round in progress: the role to find and
+ * the two non‑Babu, non‑Police players to choose from.
+ *
+ * @param {object} room
+ * @returns {{ policeId: string, guessTarget: string, suspects: Array<{ id: string, name: string }> }|null}
+ */
+function policeTurnData(room) {
+  const { currentPlayers } = room;
+  // Determine which role the police must guess this round
+  const guessTarget = rules.guessTarget(room.rules, room.game.round);
+  const policeId = currentPlayers.find(id => players[id].role === 'Police');
+  if (!policeId) return null;
+  const suspects = currentPlayers
+    .filter(id => id !== policeId && players[id].role !== 'Babu')
+    .map(id => ({ id, name: players[id].name }));
+  return { policeId, guessTarget, suspects };
+}
+
+/**
+ * Ids of the highest scoring player(s) at a room's table.  In a team game
+ * these are the members of the team(s) with the highest pooled score.
+ *
+ * @param {object} room
+ * @returns {string[]}
+ */
+function findWinnerIds(room) {
+  const { currentPlayers } = room;
+  if (room.teams) {
+    const best = teams.winningTeams(room.teams, scoresOf(room));
+    return currentPlayers.filter(id => best.includes(room.teams[id]));
+  }
+  const highest = Math.max(...currentPlayers.map(id => players[id].score));
+  return currentPlayers.filter(id => players[id].score === highest);
+}
+
+/**
+ * Names of the highest scoring player(s) at a room's table.
+ *
+ * @param {object} room
+ * @returns {string[]}
+ */
+function findWinners(room) {
+  return findWinnerIds(room).map(id => players[id].name);
+}
+
+/**
+ * Whether the rounds played so far complete the game under the room's
+ * settings.
+ *
+ * @param {object} room
+ * @returns {boolean}
+ */
+function reachedEnd(room) {
+  // Partners play to the target together
+  const scores = room.teams
+    ? teams.teamTotals(room.teams, scoresOf(room))
+    : room.currentPlayers.map(id => players[id].score);
+  return settings.isFinished(room.settings, room.game.round, scores);
+}
+
+/**
+ * Whether a room has played its final round and has not been reset yet.
+ *
+ * @param {object} room
+ * @returns {boolean}
+ */
+function isGameOver(room) {
+  return room.game.phase === 'gameOver';
+}
+
+/**
+ * Whether a room's roles are dealt and the police has yet to guess.
+ *
+ * @param {object} room
+ * @returns {boolean}
+ */
+function awaitingGuess(room) {
+  return room.game.phase === 'awaitingGuess';
+}
+
+/**
+ * Moves a room's game on by one event of the state machine in
+ * server/game.js.
+ *
+ * @param {object} room
+ * @param {string} event
+ * @param {object} [data] – passed to game.transition
+ * @returns {object|null} why the event was rejected, or null once applied
+ */
+function applyGameEvent(room, event, data) {
+  const result = game.transition(room.game, event, data);
+  if (result.error) return result.error;
+  room.game = result.game;
+  return null;
+}
+
+/**
+ * Deals the next round after the room's advance delay when auto‑advance is
+ * on.  The deal is skipped if the table is paused or reset in the meantime;
+ * resuming a paused table schedules it again.
+ *
+ * @param {object} room
+ */
+function scheduleAdvance(room) {
+  cancelAdvance(room);
+  advanceTimers[room.code] = setTimeout(() => {
+    delete advanceTimers[room.code];
+    // startRound refuses the deal if the game was paused, reset or finished
+    if (rooms.getRoom(room.code) === room) startRound(room);
+  }, Math.max(room.settings.advanceDelayMs, room.settings.resultDisplayMs));
+}
+
+/**
+ * Whether the next round is dealt without waiting for a person to press
+ * shuffle: when the host turned on auto‑advance, or when a bot is seated
+ * (bots press shuffle themselves, so the first round starts on its own too).
+ *
+ * @param {object} room
+ * @returns {boolean}
+ */
+function dealsAutomatically(room) {
+  if (room.currentPlayers.some(id => players[id].bot)) return true;
+  return room.settings.autoAdvance && room.game.round > 0;
+}
+
+/**
+ * Cancels a pending automatic deal.
+ *
+ * @param {object} room
+ */
+function cancelAdvance(room) {
+  clearTimeout(advanceTimers[room.code]);
+  delete advanceTimers[room.code];
+}
+
+/**
+ * Starts the police's countdown for the round in progress and tells the
+ * whole table whose turn it is and when it ends.  Only the police is shown
+ * the guess buttons; everyone else sees the timer.  A table without a time
+ * limit gets a null deadline.
+ *
+ * @param {object} room
+ */
+function announcePoliceTurn(room) {
+  const turn = policeTurnData(room);
+  if (!turn) return;
+  cancelTurnTimer(room);
+  const police = players[turn.policeId];
+  const timeout = police.bot ? 0 : room.settings.guessTimeoutMs;
+  room.turnDeadline = timeout > 0 ? Date.now() + timeout : null;
+  if (police.bot) {
+    // Bots never run out of time; they answer after a short pause
+    turnTimers[room.code] = setTimeout(() => {
+      delete turnTimers[room.code];
+      resolveBotGuess(room);
+    }, bots.thinkTime());
+  } else if (timeout > 0) {
+    turnTimers[room.code] = setTimeout(() => {
+      delete turnTimers[room.code];
+      resolveTimedOutGuess(room);
+    }, timeout);
+  }
+  // The prompt holds nothing secret, so spectators see the countdown too
+  io.to(room.code).emit('policeTurn', {
+    guessTarget: turn.guessTarget,
+    suspects: turn.suspects,
+    turnDeadline: room.turnDeadline,
+    serverTime: Date.now()
+  });
+}
+
+/**
+ * Stops the police's countdown.
+ *
+ * @param {object} room
+ */
+function cancelTurnTimer(room) {
+  clearTimeout(turnTimers[room.code]);
+  delete turnTimers[room.code];
+}
+
+/**
+ * Resolves a round whose police ran out of time, using the table's timeout
+ * outcome: a random suspect is accused, or the guess counts as wrong (the
+ * suspect who is not the target is accused).
+ *
+ * @param {object} room
+ */
+function resolveTimedOutGuess(room) {
+  if (rooms.getRoom(room.code) !== room || !game.canApply(room.game, 'guess')) return;
+  const turn = policeTurnData(room);
+  if (!turn) return;
+  let guessed;
+  if (room.settings.timeoutOutcome === 'wrong') {
+    guessed = turn.suspects.find(s => players[s.id].role !== turn.guessTarget);
+  } else {
+    guessed = turn.suspects[Math.floor(Math.random() * turn.suspects.length)];
+  }
+  resolveRound(room, turn.policeId, guessed.id, true);
+}
+
+/**
+ * Lets a bot police make its accusation.
+ *
+ * @param {object} room
+ */
+function resolveBotGuess(room) {
+  if (rooms.getRoom(room.code) !== room || !game.canApply(room.game, 'guess')) return;
+  const turn = policeTurnData(room);
+  if (!turn) return;
+  const police = players[turn.policeId];
+  const guessedId = bots.chooseSuspect(police.strategy, {
+    suspects: turn.suspects,
+    guessTarget: turn.guessTarget,
+    history: room.history,
+    rules: room.rules
+  });
+  resolveRound(room, turn.policeId, guessedId);
+}
+
+/**
+ * Tells a room's table that play is on hold and stops the police's
+ * countdown.  `names` lists the seated players who are away, and `byHost`
+ * is true when the host paused the game.
+ *
+ * @param {object} room
+ */
+function announcePause(room) {
+  cancelTurnTimer(room);
+  io.to(room.code).emit('gamePaused', {
+    names: room.currentPlayers.filter(id => !players[id].connected).map(id => players[id].name),
+    byHost: room.game.hostPaused
+  });
+}
+
+/**
+ * Tells a room's table that play goes on, restarting the police's
+ * countdown afresh or the automatic deal that was skipped while paused.
+ *
+ * @param {object} room
+ */
+function resumePlay(room) {
+  io.to(room.code).emit('gameResumed');
+  if (awaitingGuess(room)) announcePoliceTurn(room);
+  // An automatic deal skipped during the pause is due again
+  if (dealsAutomatically(room) && game.canApply(room.game, 'shuffle')) {
+    scheduleAdvance(room);
+  }
+}
+
+/**
+ * Pauses a room's game while any seated player is disconnected and resumes
+ * it once everyone is back, notifying the table of each change.  A game the
+ * host paused stays paused until the host resumes it.
+ *
+ * @param {object} room
+ */
+function refreshPause(room) {
+  const wasPaused = game.isPaused(room.game);
+  const away = room.currentPlayers.some(id => !players[id].connected);
+  // Nothing to pause before the game starts
+  if (applyGameEvent(room, away ? 'pause' : 'resume')) return;
+  if (game.isPaused(room.game)) {
+    announcePause(room);
+  } else if (wasPaused) {
+    resumePlay(room);
+  }
+}
+
+/**
+ * Assigns roles randomly to the four seated players of a room.  Babu
+ * receives their points immediately.  Others have pending points (from the
+ * room's rules) that will be granted based on the police's guess.
+ *
+ * @param {object} room
+ */
+function assignRoles(room) {
+  // Deal from a fresh seed, or one derived from the host's game seed; its
+  // hash is published now and the seed itself with the result
+  room.dealSeed = deal.roundSeed(room.settings.seed, room.game.round, room.seedNonce);
+  const shuffled = deal.dealRoles(rules.ROLES, room.dealSeed);
+  const roles = {};
+  room.currentPlayers.forEach((id, idx) => {
     const role = shuffled[idx];
+    roles[id] = role;
     players[id].role = role;
-    players[id].pending = rolePoints[role];
+    players[id].pending = room.rules.points[role];
     // Award Babu's points immediately
     if (role === 'Babu') {
-      players[id].score += rolePoints.Babu;
+      players[id].score += room.rules.points.Babu;
     }
   });
-  // Reset awaitingShuffle.  The round has not yet begun; it will be set
-  // to true when startRound begins and cleared once the round is resolved.
-  awaitingShuffle = false;
+  replays.addEvent(room.gameLog, {
+    type: 'deal',
+    round: room.game.round,
+    roles,
+    seedHash: deal.commitment(room.dealSeed)
+  });
 }
 
 /**
- * Starts a new round: increments the round counter, assigns roles, sends
- * scoreboard and history to all current players, and prompts the police
- * player to make their guess.
+ * Starts a new round in a room: increments the round counter, assigns roles,
+ * sends scoreboard and history to the seated players, and prompts the police
+ * player to make their guess.  Nothing happens if the game cannot deal now
+ * (it is paused, over, or a round is already in progress).
+ *
+ * @param {object} room
+ * @returns {object|null} why the deal was refused, or null
  */
-function startRound() {
-  currentRound++;
-  assignRoles();
-  // Round begins; block further shuffle until resolved
-  awaitingShuffle = true;
-  // Build scoreboard with full role information (to allow client‑side
-  // visibility filtering) and current scores.
-  const scoreboard = currentPlayers.map(id => ({
-    id,
-    name: players[id].name,
-    role: players[id].role,
-    score: players[id].score
-  }));
-  // Notify each player of the new round, scoreboard and history
-  currentPlayers.forEach(id => {
+function startRound(room) {
+  // Counts the new round; further shuffles are refused until it is resolved
+  const rejected = applyGameEvent(room, 'shuffle');
+  if (rejected) return rejected;
+  cancelAdvance(room);
+  assignRoles(room);
+  applyGameEvent(room, 'dealt');
+  // Notify each seated player of the new round, history and a scoreboard
+  // showing only the roles they are allowed to see
+  const scoreboard = buildScoreboard(room);
+  const seedHash = deal.commitment(room.dealSeed);
+  const tableSettings = settings.publicSettings(room.settings);
+  room.currentPlayers.forEach(id => {
     io.to(id).emit('rolesAssigned', {
-      round: currentRound,
-      maxRounds: MAX_ROUNDS,
-      scoreboard,
-      history
+      round: room.game.round,
+      maxRounds: room.settings.mode === 'rounds' ? room.settings.maxRounds : null,
+      settings: tableSettings,
+      scoreboard: scoreboardView(scoreboard, id, false),
+      history: room.history,
+      seedHash
     });
   });
-  // Determine which role the police must guess this round
-  const guessTarget = (currentRound % 2 === 1) ? 'Chor' : 'Dakat';
-  // Identify the police player
-  const policeId = currentPlayers.find(id => players[id].role === 'Police');
-  if (policeId) {
-    // Police can choose between the two non‑Babu, non‑Police players
-    const suspects = currentPlayers
-      .filter(id => id !== policeId && players[id].role !== 'Babu')
-      .map(id => ({ id, name: players[id].name }));
-    io.to(policeId).emit('policeTurn', { guessTarget, suspects });
-  }
+  // Spectators get the public view: only Babu and Police are shown
+  io.to(room.code).except(rooms.seatChannel(room)).emit('rolesAssigned', {
+    round: room.game.round,
+    maxRounds: room.settings.mode === 'rounds' ? room.settings.maxRounds : null,
+    settings: tableSettings,
+    scoreboard: scoreboardView(scoreboard, null, false),
+    history: room.history,
+    seedHash,
+    spectating: true
+  });
+  // Prompt the police player to make their guess and start the countdown
+  announcePoliceTurn(room);
+  return null;
 }
 
 /**
  * Resolves the current round after the police makes a guess.  Calculates
  * points gained for each player, updates their cumulative scores, appends
- * a history entry, sends the results to all players and either prepares
- * the next round or concludes the game.
+ * a history entry, sends the results to the table and either prepares
+ * the next round or concludes the game.  Nothing happens unless the police's
+ * guess is awaited.
  *
- * @param {string} policeId – the socket id of the police player
- * @param {string} guessedId – the socket id of the player guessed by the police
+ * @param {object} room – the room whose round is being resolved
+ * @param {string} policeId – the player id of the police player
+ * @param {string} guessedId – the player id of the player guessed by the police
+ * @param {boolean} [timedOut] – true when the guess was made for the police
+ *   because their time ran out
+ * @returns {object|null} why the guess was refused, or null
  */
-function resolveRound(policeId, guessedId) {
-  // Determine the target role for this round (Chor on odd rounds, Dakat on even)
-  const guessTarget = (currentRound % 2 === 1) ? 'Chor' : 'Dakat';
-  const guessedPlayer = players[guessedId];
+function resolveRound(room, policeId, guessedId, timedOut = false) {
+  const rejected = game.transition(room.game, 'guess').error;
+  if (rejected) return rejected;
+  cancelTurnTimer(room);
+  room.turnDeadline = null;
+  const { currentPlayers } = room;
+  // Determine the target role for this round from the room's rules
+  const guessTarget = rules.guessTarget(room.rules, room.game.round);
   const policePlayer = players[policeId];
-  // Identify the Chor and Dakat by their socket ids
+  // Identify the Chor and Dakat by their player ids
   const chorId = currentPlayers.find(id => players[id].role === 'Chor');
   const dakatId = currentPlayers.find(id => players[id].role === 'Dakat');
-  let correct = false;
-  let message = '';
-  // Prepare gains for each player this round
-  const gains = {};
-  currentPlayers.forEach(id => { gains[id] = 0; });
-
-  // Always award the Babu their points in the gains table for history.  If for some
-  // reason the Babu is not found (which should not happen), no gain will be
-  // recorded.  The Babu's cumulative score was already updated during role
-  // assignment so we do not add to their total here.
-  const babuId = currentPlayers.find(id => players[id].role === 'Babu');
-  if (babuId !== undefined) {
-    gains[babuId] = rolePoints.Babu;
-  }
-
-  if (guessTarget === 'Chor') {
-    if (guessedId === chorId) {
-      // Police guessed the Chor correctly
-      correct = true;
-      message = `${policePlayer.name} guessed correctly: ${players[chorId].name} is the Chor.`;
-      gains[policeId] += rolePoints.Police;
-      gains[dakatId] += rolePoints.Dakat;
-      // Chor gets zero points
-    } else {
-      // Police guessed the Dakat instead of the Chor
-      correct = false;
-      message = `${policePlayer.name} guessed incorrectly. ${players[chorId].name} was the Chor, and ${players[dakatId].name} was the Dakat.`;
-      // Police gains nothing
-      gains[dakatId] += rolePoints.Dakat;
-      gains[chorId] += rolePoints.Chor;
-    }
-  } else {
-    // Guess target is Dakat
-    if (guessedId === dakatId) {
-      correct = true;
-      message = `${policePlayer.name} guessed correctly: ${players[dakatId].name} is the Dakat.`;
-      gains[policeId] += rolePoints.Police;
-      gains[chorId] += rolePoints.Chor;
-      // Dakat gets zero
-    } else {
-      // Police guessed the Chor instead of the Dakat
-      correct = false;
-      message = `${policePlayer.name} guessed incorrectly. ${players[dakatId].name} was the Dakat, and ${players[chorId].name} was the Chor.`;
-      // Police gains nothing
-      gains[dakatId] += rolePoints.Dakat;
-      gains[chorId] += rolePoints.Chor;
+  const targetId = guessTarget === 'Chor' ? chorId : dakatId;
+  // Score the guess.  The gains include the Babu's points so the history
+  // shows them, even though they were already added to the Babu's total
+  // during role assignment.
+  const roles = {};
+  currentPlayers.forEach(id => { roles[id] = players[id].role; });
+  const { correct, gains } = rules.scoreRound(room.rules, { roles, target: guessTarget, policeId, guessedId });
+  // The outcome as a translation key and its parameters (e.g.
+  // 'incorrectDakat'), so each client words it in its own language
+  const message = {
+    key: `${correct ? 'correct' : 'incorrect'}${guessTarget}`,
+    params: {
+      police: policePlayer.name,
+      player: players[targetId].name,
+      chor: players[chorId].name,
+      dakat: players[dakatId].name
     }
-  }
-  // Apply gains to players' cumulative scores.  Babu's 900 points were
+  };
+  // Apply gains to players' cumulative scores.  Babu's points were
   // already awarded when roles were assigned, so do not add them again to
   // the cumulative score here.
   currentPlayers.forEach(id => {
@@ -198,190 +695,1678 @@ function resolveRound(policeId, guessedId) {
       players[id].score += gains[id];
     }
   });
+  const scores = scoresOf(room);
+  replays.addEvent(room.gameLog, {
+    type: 'guess',
+    round: room.game.round,
+    policeId,
+    guessedId,
+    target: guessTarget,
+    correct,
+    timedOut,
+    seed: room.dealSeed
+  });
+  replays.addEvent(room.gameLog, { type: 'result', round: room.game.round, gains, scores });
+  // Count the round towards every player's lifetime statistics
+  currentPlayers.forEach(id => {
+    profiles.recordRound(players[id].profileId, {
+      role: players[id].role,
+      points: gains[id],
+      target: guessTarget,
+      correct
+    });
+  });
   // Append history entry
-  history.push({
-    round: currentRound,
+  room.history.push({
+    round: room.game.round,
     message,
     gains: currentPlayers.map(id => ({ id, name: players[id].name, points: gains[id] })),
-    correct
+    correct,
+    timedOut,
+    // The deal's seed, so the round can be verified later
+    seed: room.dealSeed
   });
-  // Construct scoreboard after applying gains
-  const scoreboard = currentPlayers.map(id => ({
-    id,
-    name: players[id].name,
-    role: players[id].role,
-    score: players[id].score
-  }));
-  // Send round result to all players
-  currentPlayers.forEach(id => {
-    io.to(id).emit('roundResult', {
-      round: currentRound,
-      correct,
-      message,
-      scoreboard,
-      history,
-      targetRole: guessTarget,
-      policeName: policePlayer.name,
-      chorName: players[chorId].name,
-      dakatName: players[dakatId].name
-    });
+  // Construct scoreboard after applying gains.  The result reveals every
+  // role, so the whole table receives the same view.
+  const scoreboard = scoreboardView(buildScoreboard(room), null, true);
+  // Send round result to the table and its spectators
+  io.to(room.code).emit('roundResult', {
+    round: room.game.round,
+    correct,
+    timedOut,
+    message,
+    scoreboard,
+    history: room.history,
+    targetRole: guessTarget,
+    // Reveal the seed committed to in rolesAssigned
+    seed: room.dealSeed
   });
-  // Check if game finished
-  if (currentRound >= MAX_ROUNDS) {
-    // Determine winners
-    const highest = Math.max(...currentPlayers.map(id => players[id].score));
-    const winners = currentPlayers.filter(id => players[id].score === highest).map(id => players[id].name);
-    // Send gameOver event with final standings but do not immediately reset the game.  Clients
-    // should display results and provide a restart button.  Game state will be
-    // cleared when a restart is requested.
+  refreshBracket(room);
+  // Check if game finished; a tournament table tied across its qualifying
+  // places plays on instead
+  const finished = reachedEnd(room) && !startTieBreak(room);
+  applyGameEvent(room, 'guess', { finished });
+  if (finished) {
+    const winnerIds = findWinnerIds(room);
+    const winners = winnerIds.map(id => players[id].name);
     currentPlayers.forEach(id => {
-      io.to(id).emit('gameOver', {
-        winners,
-        scoreboard,
-        history
-      });
+      profiles.recordGame(players[id].profileId, winnerIds.includes(id));
     });
-    // Do not reset players or game state here; wait for restart request
-    // awaitingShuffle remains false so further shuffles are disabled
-    awaitingShuffle = false;
-  } else {
-    // Prepare for next round: allow shuffle
-    awaitingShuffle = false;
-    currentPlayers.forEach(id => {
-      io.to(id).emit('enableShuffle');
+    // With the game seed and nonce every seeded deal can be dealt again
+    replays.addEvent(room.gameLog, {
+      type: 'end',
+      winners: winnerIds,
+      gameSeed: room.settings.seed,
+      seedNonce: room.seedNonce
+    });
+    replays.saveLog(room.gameLog);
+    // Send gameOver event with final standings but do not immediately reset the game.  Clients
+    // display the results while the table votes on a rematch; game state is
+    // cleared once the vote is decided.
+    io.to(room.code).emit('gameOver', {
+      winners,
+      scoreboard,
+      history: room.history,
+      // The saved event log, for download and replay
+      gameId: room.gameLog.id,
+      // The game seed and nonce can be told now that every role is known
+      gameSeed: room.settings.seed,
+      seedNonce: room.seedNonce
     });
+    // Do not reset players or game state here; a tournament table waits
+    // for its stage, any other asks its players for a rematch
+    finishTournamentTable(room);
+    if (!room.tournament) openRematchVote(room);
+  } else {
+    // Deal the next round once the result has been on screen long enough
+    if (dealsAutomatically(room)) scheduleAdvance(room);
+    // Unless the host turned on auto‑advance, people may still shuffle
+    // before a seated bot does
+    if (!room.settings.autoAdvance) io.to(rooms.seatChannel(room)).emit('enableShuffle');
   }
+  return null;
 }
 
-// Socket.IO connection handler
-io.on('connection', socket => {
-  // Register player
-  players[socket.id] = { id: socket.id, name: '', score: 0, role: '', pending: 0 };
-  waiting.push(socket.id);
-  // Inform waiting lobby of new player list (names only)
-  io.emit('updatePlayers', waiting.map(id => players[id].name).filter(Boolean));
-
-  socket.on('join', name => {
-    if (!name || typeof name !== 'string') return;
-    players[socket.id].name = name.trim();
-    // Broadcast updated lobby
-    io.emit('updatePlayers', waiting.map(id => players[id].name).filter(Boolean));
-    // If game not started and at least four named players waiting, move them to current game
-    const ready = waiting.filter(id => players[id].name);
-    if (!gameStarted && ready.length >= 4) {
-      currentPlayers = ready.slice(0, 4);
-      waiting = waiting.filter(id => !currentPlayers.includes(id));
-      gameStarted = true;
-      currentRound = 0;
-      history = [];
-      awaitingShuffle = false;
-      // Clear scores and roles for players starting a new game
-      currentPlayers.forEach(id => {
-        players[id].score = 0;
-        players[id].role = '';
-        players[id].pending = 0;
-      });
-      // Prompt these players to shuffle to begin round 1
-      currentPlayers.forEach(id => {
-        io.to(id).emit('enableShuffle');
-      });
-    }
-  });
-
-  socket.on('shuffle', () => {
-    // Only proceed if a game is active, shuffle not already pending, and sender is one of the current players
-    if (!gameStarted || awaitingShuffle || !currentPlayers.includes(socket.id)) return;
-    startRound();
+/**
+ * Seats the first four named, connected waiting members of a room if no
+ * game is running there, clears their scores and prompts them to shuffle.
+ *
+ * @param {object} room
+ */
+function tryStartGame(room) {
+  const ready = room.waiting.filter(id => players[id].name && players[id].connected);
+  if (!game.canApply(room.game, 'seat') || ready.length < rooms.SEATS) return;
+  room.currentPlayers = ready.slice(0, rooms.SEATS);
+  room.waiting = room.waiting.filter(id => !room.currentPlayers.includes(id));
+  applyGameEvent(room, 'seat');
+  room.history = [];
+  room.seedNonce = deal.createNonce();
+  room.gameLog = replays.createLog(room, room.currentPlayers.map(id => ({
+    id,
+    name: players[id].name,
+    bot: Boolean(players[id].bot)
+  })));
+  formTeams(room);
+  // Clear scores and roles for players starting a new game
+  room.currentPlayers.forEach(id => {
+    players[id].score = 0;
+    players[id].role = '';
+    players[id].pending = 0;
   });
+  io.in(room.currentPlayers).socketsJoin(rooms.seatChannel(room));
+  // Prompt these players to shuffle to begin round 1; a seated bot presses
+  // it if nobody else does
+  io.to(rooms.seatChannel(room)).emit('enableShuffle');
+  if (dealsAutomatically(room)) scheduleAdvance(room);
+  updateRoomPlayers(room);
+  refreshBracket(room);
+  broadcastRoomList();
+}
 
-  socket.on('guess', data => {
-    // Only allow if game is running and a round is in progress (awaitingShuffle true)
-    if (!gameStarted || !awaitingShuffle) return;
-    const policeId = socket.id;
-    if (players[policeId].role !== 'Police') return;
-    // Determine guessed player's id from provided id or name
-    let targetId = null;
-    if (data && data.id && currentPlayers.includes(data.id)) {
-      targetId = data.id;
-    } else if (data && data.name) {
-      const candidate = currentPlayers.find(id => players[id].name === data.name);
-      if (candidate) targetId = candidate;
-    }
-    if (!targetId) return;
-    resolveRound(policeId, targetId);
-  });
+/**
+ * Splits a seated table into teams when its settings ask for a team game,
+ * following the members' choices where possible (see teams.js).
+ *
+ * @param {object} room
+ */
+function formTeams(room) {
+  room.teams = room.settings.teams
+    ? teams.assignTeams(room.currentPlayers, id => players[id].team)
+    : null;
+  room.gameLog.players.forEach(p => { p.team = room.teams ? room.teams[p.id] : null; });
+}
 
-  socket.on('disconnect', () => {
-    // If the disconnecting player is in the waiting list, remove them
-    if (waiting.includes(socket.id)) {
-      waiting = waiting.filter(id => id !== socket.id);
-      delete players[socket.id];
-      io.emit('updatePlayers', waiting.map(id => players[id].name).filter(Boolean));
-      return;
-    }
-    // If they are in an active game
-    if (currentPlayers.includes(socket.id)) {
-      // Reset the game and move remaining players back to waiting
-      currentPlayers = currentPlayers.filter(id => id !== socket.id);
-      history = [];
-      currentRound = 0;
-      awaitingShuffle = false;
-      gameStarted = false;
-      // Reset scores and roles for remaining game players
-      currentPlayers.forEach(id => {
-        players[id].score = 0;
-        players[id].role = '';
-        players[id].pending = 0;
-      });
-      // Move them to waiting
-      waiting = waiting.concat(currentPlayers);
-      // Notify others that a player left
-      io.emit('playerLeft', { message: `${players[socket.id].name || 'A player'} left. Game reset.` });
-      // Broadcast updated lobby list
-      io.emit('updatePlayers', waiting.map(id => players[id].name).filter(Boolean));
-      // Remove from players list
-      delete players[socket.id];
-      return;
-    }
-    // Finally remove record
-    delete players[socket.id];
-    io.emit('updatePlayers', waiting.map(id => players[id].name).filter(Boolean));
-  });
-
-  // Handle a restart request.  After the final results have been shown,
-  // any player can request the game to restart.  This moves all current
-  // players back to the waiting lobby, resets their scores and roles,
-  // clears history and round counters, and emits a gameReset event so
-  // clients return to the waiting screen.  A subsequent shuffle will
-  // begin a new game when four players are ready.
-  socket.on('restart', () => {
-    // Only perform a reset if there are active players (a game either
-    // just finished or is in progress).  If no players are playing the
-    // gameStarted flag will already be false and currentPlayers empty.
-    if (currentPlayers.length === 0) {
-      return;
-    }
-    // Move any current players back into the waiting list
-    waiting = waiting.concat(currentPlayers);
-    // Reset scores and roles for these players
-    currentPlayers.forEach(id => {
-      players[id].score = 0;
-      players[id].role = '';
-      players[id].pending = 0;
-    });
-    // Clear game state
-    currentPlayers = [];
-    history = [];
-    currentRound = 0;
-    awaitingShuffle = false;
-    gameStarted = false;
-    // Notify all clients that the game has been reset
-    io.emit('gameReset');
-    // Update lobby with names of waiting players
-    io.emit('updatePlayers', waiting.map(id => players[id].name).filter(Boolean));
+/**
+ * Ends a room's game: unseats the players, moves them back to the room's
+ * waiting list, resets their scores and roles and clears the round state.
+ *
+ * @param {object} room
+ * @param {string} [event] – 'restart' once the game is over, or 'abort' to
+ *   end it in any phase
+ * @returns {object|null} why the game could not be ended, or null
+ */
+function resetGame(room, event = 'abort') {
+  const rejected = applyGameEvent(room, event);
+  if (rejected) return rejected;
+  cancelAdvance(room);
+  cancelTurnTimer(room);
+  cancelRematch(room);
+  room.turnDeadline = null;
+  io.in(rooms.seatChannel(room)).socketsLeave(rooms.seatChannel(room));
+  room.waiting = room.waiting.concat(room.currentPlayers);
+  room.currentPlayers.forEach(id => {
+    players[id].score = 0;
+    players[id].role = '';
+    players[id].pending = 0;
   });
-});
+  room.currentPlayers = [];
+  room.history = [];
+  room.teams = null;
+  room.gameLog = null;
+  return null;
+}
 
-server.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
-});
\ No newline at end of file
+/**
+ * Asks a finished game's players for a rematch (see rematch.js).  Nobody
+ * is asked at a table of bots alone.
+ *
+ * @param {object} room
+ */
+function openRematchVote(room) {
+  const botIds = room.currentPlayers.filter(id => players[id].bot);
+  if (botIds.length === room.currentPlayers.length) return;
+  room.rematch = rematch.createVote(room.currentPlayers, botIds, Date.now() + REMATCH_TIMEOUT_MS);
+  rematchTimers[room.code] = setTimeout(() => {
+    delete rematchTimers[room.code];
+    rematch.expire(room.rematch);
+    closeRematchVote(room);
+  }, REMATCH_TIMEOUT_MS);
+  broadcastRematch(room);
+}
+
+/**
+ * A room's rematch vote as everyone there may see it, or null.
+ *
+ * @param {object} room
+ * @returns {object|null}
+ */
+function rematchView(room) {
+  if (!room.rematch) return null;
+  const names = {};
+  room.rematch.seats.forEach(id => { names[id] = players[id] ? players[id].name : ''; });
+  return rematch.voteView(room.rematch, names);
+}
+
+/**
+ * Sends the state of a room's rematch vote to the table and its
+ * spectators.
+ *
+ * @param {object} room
+ */
+function broadcastRematch(room) {
+  io.to(room.code).emit('rematchStatus', Object.assign(rematchView(room), { serverTime: Date.now() }));
+}
+
+/**
+ * Drops a room's rematch vote without acting on it.
+ *
+ * @param {object} room
+ */
+function cancelRematch(room) {
+  clearTimeout(rematchTimers[room.code]);
+  delete rematchTimers[room.code];
+  room.rematch = null;
+}
+
+/**
+ * Acts on a decided rematch vote.  The table goes back to the waiting
+ * room either way.  If everyone accepted, the same players are seated
+ * again in the same seats; otherwise those who declined are sent to the
+ * lobby and the rest join the back of the queue.
+ *
+ * @param {object} room
+ */
+function closeRematchVote(room) {
+  const vote = room.rematch;
+  const accepted = rematch.outcome(vote) === 'accepted';
+  const leaving = rematch.declinedIds(vote).filter(id => players[id] && players[id].room === room.code);
+  resetGame(room, 'restart');
+  // The same players, in the same order, ahead of anyone already waiting
+  if (accepted) room.waiting = vote.seats.concat(room.waiting.filter(id => !vote.seats.includes(id)));
+  io.to(room.code).except(leaving).emit('gameReset', {
+    message: { key: accepted ? 'rematchAccepted' : 'rematchDeclined' }
+  });
+  leaving.forEach(id => {
+    const player = players[id];
+    exitRoom(player);
+    if (!player.connected) return;
+    io.in(player.id).socketsJoin(LOBBY);
+    io.to(player.id).emit('rematchLeft', { code: room.code, name: room.name });
+    sendLobby(io.to(player.id));
+  });
+  // The last person may have left with the table
+  if (!rooms.getRoom(room.code)) return;
+  updateRoomPlayers(room);
+  tryStartGame(room);
+  broadcastRoomList();
+}
+
+/**
+ * Calls off the round in progress so it can be dealt again: the Babu's
+ * points are taken back, roles are cleared and the round number goes back
+ * to the one before.
+ *
+ * @param {object} room
+ */
+function cancelRound(room) {
+  cancelTurnTimer(room);
+  room.turnDeadline = null;
+  room.currentPlayers.forEach(id => {
+    const player = players[id];
+    if (player.role === 'Babu') player.score -= room.rules.points.Babu;
+    player.role = '';
+    player.pending = 0;
+  });
+  replays.addEvent(room.gameLog, { type: 'cancel', round: room.game.round });
+  applyGameEvent(room, 'cancel');
+}
+
+/**
+ * Gives a seat of a running game to someone else: the first named,
+ * connected member in the room's queue, or a new bot when nobody is
+ * waiting.  At a tournament table the seat always goes to a bot: anyone
+ * can open a table by its code, but only entrants may qualify.  A round
+ * waiting for the police's guess is called off so it can be dealt again.
+ * The newcomer starts from zero or from the departed player's score, as
+ * the table's settings say; everyone else keeps theirs.  The substitution
+ * is noted in the round history.
+ *
+ * @param {object} room
+ * @param {string} leavingId – the seated player giving up the seat
+ * @returns {object} the player now in the seat
+ */
+function replaceSeat(room, leavingId) {
+  // Calling the round off takes its number back, but the substitution
+  // happened during it
+  const { round } = room.game;
+  if (awaitingGuess(room)) cancelRound(room);
+  const queuedId = room.tournament
+    ? null
+    : room.waiting.find(id => players[id].name && players[id].connected);
+  let newcomer;
+  if (queuedId) {
+    newcomer = players[queuedId];
+    room.waiting = room.waiting.filter(id => id !== queuedId);
+  } else {
+    newcomer = bots.createBot(bots.DEFAULT_STRATEGY, rooms.members(room).map(id => players[id].name));
+    newcomer.room = room.code;
+    players[newcomer.id] = newcomer;
+  }
+  const leaving = players[leavingId];
+  const inherited = room.settings.substituteScore === 'inherit' ? leaving.score : 0;
+  room.currentPlayers[room.currentPlayers.indexOf(leavingId)] = newcomer.id;
+  if (room.teams) {
+    // The newcomer partners the departed player's teammate
+    room.teams[newcomer.id] = room.teams[leavingId];
+    delete room.teams[leavingId];
+  }
+  newcomer.score = inherited;
+  newcomer.role = '';
+  newcomer.pending = 0;
+  io.in(leavingId).socketsLeave(rooms.seatChannel(room));
+  io.in(newcomer.id).socketsJoin(rooms.seatChannel(room));
+  room.gameLog.players.push({
+    id: newcomer.id,
+    name: newcomer.name,
+    bot: Boolean(newcomer.bot),
+    team: room.teams ? room.teams[newcomer.id] : null
+  });
+  replays.addEvent(room.gameLog, {
+    type: 'substitute',
+    round,
+    leftId: leavingId,
+    joinedId: newcomer.id,
+    score: inherited
+  });
+  // Counting an inherited score as a gain keeps the history's totals in
+  // line with the scoreboard
+  room.history.push({
+    round,
+    action: 'substitute',
+    target: leaving.name,
+    replacement: newcomer.name,
+    gains: [{ id: newcomer.id, name: newcomer.name, points: inherited }]
+  });
+  return newcomer;
+}
+
+/**
+ * Sends every person in a room a fresh snapshot of the table, for changes
+ * that rebuild more than one part of the screen (such as a seat changing
+ * hands).
+ *
+ * @param {object} room
+ */
+function resyncTable(room) {
+  rooms.members(room).filter(id => !players[id].bot).forEach(id => {
+    io.to(id).emit('tableState', sessionSnapshot(players[id]));
+  });
+}
+
+/**
+ * Brings everyone in a room up to date after a seat changed hands: the
+ * table is resynced, paused only if someone still seated is away, and the
+ * next deal scheduled if it happens automatically.
+ *
+ * @param {object} room
+ */
+function settleTable(room) {
+  // The table may no longer be waiting for the departed player to return
+  refreshPause(room);
+  resyncTable(room);
+  if (game.isPaused(room.game)) announcePause(room);
+  if (dealsAutomatically(room) && game.canApply(room.game, 'shuffle')) scheduleAdvance(room);
+  refreshBracket(room);
+}
+
+/**
+ * Removes a member from a room on the host's say‑so.  A seated player's
+ * seat goes to the queue (see replaceSeat) and the game carries on with
+ * everyone else's score intact.  A kicked person is sent back to the lobby
+ * and may not come back to this room; a kicked bot is discarded.
+ *
+ * @param {object} room
+ * @param {object} target – the member to remove
+ */
+function kickPlayer(room, target) {
+  clearTimeout(graceTimers[target.id]);
+  delete graceTimers[target.id];
+  const wasSeated = room.currentPlayers.includes(target.id);
+  if (wasSeated && !isGameOver(room)) replaceSeat(room, target.id);
+  room.currentPlayers = room.currentPlayers.filter(id => id !== target.id);
+  room.waiting = room.waiting.filter(id => id !== target.id);
+  io.in(target.id).socketsLeave([room.code, rooms.seatChannel(room)]);
+  if (target.bot) {
+    delete players[target.id];
+  } else {
+    target.room = null;
+    target.score = 0;
+    target.role = '';
+    target.pending = 0;
+    room.kicked.push(target.profileId);
+    if (target.connected) {
+      io.in(target.id).socketsJoin(LOBBY);
+      io.to(target.id).emit('kicked', { code: room.code, name: room.name });
+      sendLobby(io.to(target.id));
+    } else {
+      removePlayer(target);
+    }
+  }
+  if (wasSeated && room.rematch) {
+    // Someone kicked from the table cannot play the rematch
+    rematch.withdraw(room.rematch, target.id);
+    closeRematchVote(room);
+  } else if (wasSeated) {
+    settleTable(room);
+  }
+  updateRoomPlayers(room);
+  broadcastRoomList();
+}
+
+/**
+ * Notes something the host did in a running game's round history, and
+ * sends the history to the room.  Host actions before the game starts are
+ * not recorded.
+ *
+ * @param {object} room
+ * @param {string} action – 'kick', 'transfer', 'pause' or 'resume'
+ * @param {object} host – the host who acted
+ * @param {object} [target] – the player acted upon
+ */
+function recordHostAction(room, action, host, target) {
+  if (!game.isStarted(room.game)) return;
+  const entry = {
+    round: room.game.round,
+    action,
+    host: host.name,
+    target: target ? target.name : null,
+    // Host actions score nothing; the empty list keeps every entry alike
+    gains: []
+  };
+  room.history.push(entry);
+  replays.addEvent(room.gameLog, {
+    type: 'host',
+    round: room.game.round,
+    action,
+    hostId: host.id,
+    targetId: target ? target.id : null
+  });
+  io.to(room.code).emit('historyUpdate', { history: room.history });
+}
+
+/**
+ * Names of a tournament's players by id.  Anyone who has gone keeps the
+ * name their last table knew them by.
+ *
+ * @param {object} tournament
+ * @returns {Object<string, string>}
+ */
+function entrantNames(tournament) {
+  const known = {};
+  tournament.stages.forEach(tables => tables.forEach(table => Object.assign(known, table.names)));
+  tournament.entrants.forEach(id => {
+    if (players[id]) known[id] = players[id].name;
+  });
+  return known;
+}
+
+/**
+ * Sends a tournament's bracket to its entrants and everyone watching it.
+ *
+ * @param {object} tournament
+ */
+function broadcastTournament(tournament) {
+  io.to(tournaments.channel(tournament))
+    .emit('tournamentUpdate', tournaments.bracketView(tournament, entrantNames(tournament)));
+}
+
+/**
+ * Copies a tournament table's players and scores into the bracket and
+ * sends it out, so the bracket follows every table live.
+ *
+ * @param {object} room
+ */
+function refreshBracket(room) {
+  const tournament = tournaments.ofRoom(room);
+  const table = tournament && tournaments.tableIn(tournament, room.code);
+  if (!table || table.qualifiers || room.currentPlayers.length === 0) return;
+  // A seat may have changed hands (see replaceSeat)
+  table.seats = room.currentPlayers.slice();
+  table.seats.forEach(id => { table.names[id] = players[id].name; });
+  table.scores = scoresOf(room);
+  broadcastTournament(tournament);
+}
+
+/**
+ * Calls a tie‑break round at a tournament table whose game has ended with
+ * players level across the qualifying places – the several‑winners outcome
+ * of an ordinary table, which cannot decide who goes through.  The game
+ * goes on for one more round, and again after that until the tie is
+ * broken.
+ *
+ * @param {object} room
+ * @returns {boolean} whether a tie‑break round was called
+ */
+function startTieBreak(room) {
+  const tournament = tournaments.ofRoom(room);
+  if (!tournament) return false;
+  const { tied } = tournaments.rankTable(scoresOf(room), tournaments.placesAt(tournament));
+  if (!tied) return false;
+  tournaments.tableIn(tournament, room.code).tieBreak = true;
+  const tiedNames = tied.map(id => players[id].name);
+  room.history.push({ round: room.game.round, action: 'tieBreak', target: tiedNames.join(', '), gains: [] });
+  replays.addEvent(room.gameLog, { type: 'tieBreak', round: room.game.round, tiedIds: tied });
+  io.to(room.code).emit('tieBreak', { names: tiedNames, history: room.history });
+  broadcastTournament(tournament);
+  return true;
+}
+
+/**
+ * Whether a room is playing a tie‑break round (see startTieBreak).
+ *
+ * @param {object} room
+ * @returns {boolean}
+ */
+function inTieBreak(room) {
+  const tournament = tournaments.ofRoom(room);
+  const table = tournament && tournaments.tableIn(tournament, room.code);
+  return Boolean(table && table.tieBreak);
+}
+
+/**
+ * Records the result of a finished tournament table.  When it was the
+ * last table of its stage, the next stage is seated after a short break;
+ * the final settles the tournament at once.
+ *
+ * @param {object} room
+ * @param {boolean} [cutShort] – the table is being closed before its game
+ *   ended; the players ahead so far go through, without a tie‑break
+ */
+function finishTournamentTable(room, cutShort = false) {
+  const tournament = tournaments.ofRoom(room);
+  const table = tournament && tournaments.tableIn(tournament, room.code);
+  if (!table) return;
+  if (cutShort) refreshBracket(room);
+  const scores = scoresOf(room);
+  const places = tournaments.placesAt(tournament);
+  const qualifiers = cutShort
+    ? tournaments.leaders(scores, places)
+    : tournaments.rankTable(scores, places).qualifiers;
+  const stageDone = tournaments.finishTable(tournament, table, qualifiers);
+  broadcastTournament(tournament);
+  if (!stageDone) return;
+  if (tournaments.isFinal(tournament)) {
+    endTournament(tournament, room);
+  } else {
+    setTimeout(() => advanceTournament(tournament), TOURNAMENT_BREAK_MS);
+  }
+}
+
+/**
+ * Closes a finished stage's tables and seats the players who went through
+ * at the next stage.
+ *
+ * @param {object} tournament
+ */
+function advanceTournament(tournament) {
+  const qualifiers = tournaments.stageQualifiers(tournament);
+  tournaments.currentStage(tournament).forEach(table => {
+    const room = rooms.getRoom(table.room);
+    if (room) closeTable(room);
+  });
+  startStage(tournament, qualifiers);
+}
+
+/**
+ * Seats a stage of a tournament: a private table for every four players,
+ * played under the tournament's rules and settings and with no host, so
+ * nobody can kick a rival or change the game.  A player who has left or
+ * lost their connection by then gives up their place to a bot.
+ *
+ * @param {object} tournament
+ * @param {string[]} ids – the players through to this stage, in bracket order
+ */
+function startStage(tournament, ids) {
+  const names = {};
+  const seated = ids.map(id => {
+    let player = players[id];
+    if (!player || !player.connected) {
+      player = bots.createBot(bots.DEFAULT_STRATEGY, Object.values(names));
+      players[player.id] = player;
+    }
+    names[player.id] = player.name;
+    return player.id;
+  });
+  const tables = tournaments.addStage(tournament, seated, names);
+  tables.forEach((table, i) => {
+    const room = rooms.createRoom(`${tournament.name} ${tournament.stages.length}.${i + 1}`, tournament.rules, { private: true });
+    room.settings = tournament.settings;
+    room.tournament = tournament.code;
+    table.room = room.code;
+    table.seats.forEach(id => {
+      const player = players[id];
+      // Someone passing the time at another table leaves it
+      if (player.room) exitRoom(player);
+      if (player.bot) {
+        player.room = room.code;
+        room.waiting.push(id);
+      } else {
+        enterRoom(player, room);
+      }
+    });
+    tryStartGame(room);
+  });
+  broadcastTournament(tournament);
+  broadcastRoomList();
+}
+
+/**
+ * Closes a tournament table once its stage is over.  Everyone at it goes
+ * back to the lobby, from where those through to the next stage are
+ * seated again straight away; the table's bots are discarded.
+ *
+ * @param {object} room
+ */
+function closeTable(room) {
+  cancelAdvance(room);
+  cancelTurnTimer(room);
+  rooms.members(room).forEach(id => {
+    const player = players[id];
+    if (player.bot) {
+      delete players[id];
+      return;
+    }
+    player.room = null;
+    player.score = 0;
+    player.role = '';
+    player.pending = 0;
+    io.in(id).socketsLeave([room.code, rooms.seatChannel(room)]);
+    io.in(id).socketsJoin(LOBBY);
+    io.to(id).emit('tableClosed', { code: room.code });
+  });
+  rooms.removeRoom(room.code);
+}
+
+/**
+ * Crowns the winner of a tournament's final and retires the tournament.
+ * The final's table stays open as an ordinary table, hosted by the
+ * longest‑present person, so its players can play on.
+ *
+ * @param {object} tournament
+ * @param {object} finalRoom
+ */
+function endTournament(tournament, finalRoom) {
+  tournament.status = 'finished';
+  tournament.champions = tournaments.stageQualifiers(tournament);
+  broadcastTournament(tournament);
+  finalRoom.tournament = null;
+  finalRoom.hostId = rooms.members(finalRoom).find(id => !players[id].bot) || null;
+  broadcastRoomSettings(finalRoom);
+  tournament.entrants.forEach(id => {
+    if (players[id]) players[id].tournament = null;
+  });
+  io.in(tournaments.channel(tournament)).socketsLeave(tournaments.channel(tournament));
+  tournaments.removeTournament(tournament.code);
+  broadcastRoomList();
+}
+
+/**
+ * Takes a player off a tournament's entry list before it starts.  The
+ * next entrant becomes organizer if the organizer withdraws, and a
+ * tournament nobody is entered in is dropped.
+ *
+ * @param {object} tournament
+ * @param {object} player
+ */
+function withdrawEntrant(tournament, player) {
+  tournament.entrants = tournament.entrants.filter(id => id !== player.id);
+  player.tournament = null;
+  if (tournament.entrants.length === 0) {
+    tournaments.removeTournament(tournament.code);
+  } else {
+    if (tournament.organizerId === player.id) tournament.organizerId = tournament.entrants[0];
+    broadcastTournament(tournament);
+  }
+  broadcastRoomList();
+}
+
+/**
+ * Moves a named player from the lobby into a room.  Four waiting members
+ * start a game automatically.
+ *
+ * @param {object} player
+ * @param {object} room
+ */
+function enterRoom(player, room) {
+  player.room = room.code;
+  // Team choices are made afresh at every table
+  player.team = null;
+  room.waiting.push(player.id);
+  io.in(player.id).socketsLeave(LOBBY);
+  io.in(player.id).socketsJoin(room.code);
+  io.to(player.id).emit('roomJoined', Object.assign(rooms.describeRoom(room), { chat: room.chat }));
+  // Arriving during a game: watch it until a seat frees up
+  if (game.isStarted(room.game)) io.to(player.id).emit('spectate', publicTableView(room));
+  updateRoomPlayers(room);
+  tryStartGame(room);
+  broadcastRoomList();
+}
+
+/**
+ * Removes a player from their room.  A seated player leaving a game in
+ * play hands their seat on (see replaceSeat) and the game goes on; leaving
+ * a finished game resets the table.  An emptied room is discarded.  Works
+ * whether or not the player is still connected.
+ *
+ * @param {object} player
+ */
+function exitRoom(player) {
+  const room = rooms.getRoom(player.room);
+  if (!room) return;
+  player.room = null;
+  io.in(player.id).socketsLeave([room.code, rooms.seatChannel(room)]);
+  const othersStay = rooms.members(room).some(id => id !== player.id && !players[id].bot);
+  if (room.currentPlayers.includes(player.id)) {
+    if (room.tournament && game.isStarted(room.game) && !isGameOver(room) && !othersStay) {
+      // Nobody is left to play this tournament table on, so it is settled
+      // on the scores so far and its stage can still finish
+      finishTournamentTable(room, true);
+    }
+    if (game.isStarted(room.game) && !isGameOver(room)) {
+      admin.recordDeparture({
+        room: room.code,
+        id: player.id,
+        name: player.name,
+        round: room.game.round,
+        outcome: othersStay ? 'replaced' : 'reset'
+      });
+    }
+    if (game.isStarted(room.game) && !isGameOver(room) && othersStay) {
+      // Someone else takes the seat and the game goes on
+      replaceSeat(room, player.id);
+      settleTable(room);
+    } else {
+      room.currentPlayers = room.currentPlayers.filter(id => id !== player.id);
+      // Reset the game and move remaining players back to waiting
+      resetGame(room);
+      // Notify the room that a player left
+      io.to(room.code).emit('playerLeft', {
+        message: player.name ? { key: 'playerLeftReset', params: { name: player.name } } : { key: 'aPlayerLeft' }
+      });
+    }
+  } else {
+    room.waiting = room.waiting.filter(id => id !== player.id);
+  }
+  const people = rooms.members(room).filter(id => !players[id].bot);
+  if (people.length === 0) {
+    // Bots do not keep a table open on their own
+    cancelAdvance(room);
+    cancelTurnTimer(room);
+    cancelRematch(room);
+    rooms.members(room).forEach(id => { delete players[id]; });
+    rooms.removeRoom(room.code);
+  } else {
+    // Hand the host role to the longest‑present remaining person
+    if (room.hostId === player.id) {
+      room.hostId = people[0];
+      broadcastRoomSettings(room);
+    }
+    updateRoomPlayers(room);
+    tryStartGame(room);
+  }
+  broadcastRoomList();
+}
+
+/**
+ * Forgets a player entirely, invalidating their session token.
+ *
+ * @param {object} player
+ */
+function removePlayer(player) {
+  clearTimeout(graceTimers[player.id]);
+  delete graceTimers[player.id];
+  // A place in a tournament that has not started is given up; one that has
+  // passes to a bot at the next stage
+  const tournament = tournaments.getTournament(player.tournament);
+  if (tournament && tournament.status === 'registering') withdrawEntrant(tournament, player);
+  chat.forgetPlayer(player.id);
+  delete players[player.id];
+}
+
+/**
+ * Holds a disconnected player's seat for the grace period and pauses the
+ * table.  If they have not resumed by then they leave the room as usual.
+ *
+ * @param {object} room
+ * @param {object} player
+ */
+function holdSeat(room, player) {
+  player.connected = false;
+  graceTimers[player.id] = setTimeout(() => {
+    delete graceTimers[player.id];
+    exitRoom(player);
+    removePlayer(player);
+  }, RECONNECT_GRACE_MS);
+  refreshPause(room);
+}
+
+/**
+ * The state of a room's game as a spectator sees it: hidden roles stay
+ * masked until the round in progress is resolved.
+ *
+ * @param {object} room
+ * @returns {object}
+ */
+function publicTableView(room) {
+  const turn = awaitingGuess(room) ? policeTurnData(room) : null;
+  return {
+    round: room.game.round,
+    maxRounds: room.settings.mode === 'rounds' ? room.settings.maxRounds : null,
+    settings: settings.publicSettings(room.settings),
+    scoreboard: scoreboardView(buildScoreboard(room), null, !awaitingGuess(room)),
+    history: room.history,
+    awaitingShuffle: awaitingGuess(room),
+    paused: game.isPaused(room.game),
+    hostPaused: room.game.hostPaused,
+    tieBreak: inTieBreak(room),
+    policeTurn: turn ? { guessTarget: turn.guessTarget, suspects: turn.suspects } : null,
+    turnDeadline: turn ? room.turnDeadline : null,
+    seedHash: turn ? deal.commitment(room.dealSeed) : null,
+    serverTime: Date.now(),
+    winners: isGameOver(room) ? findWinners(room) : null,
+    gameId: isGameOver(room) ? room.gameLog.id : null,
+    gameSeed: isGameOver(room) ? room.settings.seed : null,
+    seedNonce: isGameOver(room) ? room.seedNonce : null,
+    rematch: rematchView(room)
+  };
+}
+
+/**
+ * Builds everything a reconnecting client needs to rebuild its screen:
+ * where the player is, their role and pending points, the table's
+ * scoreboard and history, and whether it is their turn to guess.  A
+ * member without a seat gets the spectators' view of a running game.
+ *
+ * @param {object} player
+ * @returns {object}
+ */
+function sessionSnapshot(player) {
+  const room = rooms.getRoom(player.room);
+  const tournament = tournaments.getTournament(player.tournament);
+  const snapshot = {
+    id: player.id,
+    name: player.name,
+    room: room ? rooms.describeRoom(room) : null,
+    seated: false,
+    // The bracket of the tournament the player is entered in
+    tournament: tournament ? tournaments.bracketView(tournament, entrantNames(tournament)) : null
+  };
+  if (!room) return snapshot;
+  snapshot.waiting = waitingView(room);
+  snapshot.chat = room.chat;
+  if (!game.isStarted(room.game)) return snapshot;
+  if (!room.currentPlayers.includes(player.id)) {
+    snapshot.spectating = publicTableView(room);
+    return snapshot;
+  }
+  const turn = awaitingGuess(room) ? policeTurnData(room) : null;
+  return Object.assign(snapshot, {
+    seated: true,
+    round: room.game.round,
+    maxRounds: room.settings.mode === 'rounds' ? room.settings.maxRounds : null,
+    role: player.role,
+    pending: player.pending,
+    // Hidden roles stay masked until the round in progress is resolved
+    scoreboard: scoreboardView(buildScoreboard(room), player.id, !awaitingGuess(room)),
+    history: room.history,
+    awaitingShuffle: awaitingGuess(room),
+    paused: game.isPaused(room.game),
+    hostPaused: room.game.hostPaused,
+    tieBreak: inTieBreak(room),
+    policeTurn: turn && turn.policeId === player.id
+      ? { guessTarget: turn.guessTarget, suspects: turn.suspects }
+      : null,
+    turnDeadline: turn ? room.turnDeadline : null,
+    seedHash: turn ? deal.commitment(room.dealSeed) : null,
+    serverTime: Date.now(),
+    winners: isGameOver(room) ? findWinners(room) : null,
+    gameId: isGameOver(room) ? room.gameLog.id : null,
+    gameSeed: isGameOver(room) ? room.settings.seed : null,
+    seedNonce: isGameOver(room) ? room.seedNonce : null,
+    rematch: rematchView(room)
+  });
+}
+
+/**
+ * Every connected socket and the player it belongs to, for the admin
+ * dashboard.
+ *
+ * @returns {Array<{ id: string, address: string, connectedAt: number, playerId: string|null, name: string|null, room: string|null }>}
+ */
+function adminSocketsView() {
+  return Array.from(io.sockets.sockets.values()).map(socket => {
+    const player = playerOf(socket);
+    return {
+      id: socket.id,
+      address: socket.handshake.address,
+      connectedAt: socket.handshake.issued,
+      playerId: player ? player.id : null,
+      name: player ? player.name : null,
+      room: player ? player.room : null
+    };
+  });
+}
+
+/**
+ * Everyone waiting at a table, in the order they will be seated, for the
+ * admin dashboard.
+ *
+ * @returns {Array<{ room: string, position: number, id: string, name: string, bot: boolean, connected: boolean }>}
+ */
+function adminQueueView() {
+  const queue = [];
+  rooms.allRooms().forEach(room => {
+    room.waiting.forEach((id, index) => {
+      queue.push({
+        room: room.code,
+        position: index + 1,
+        id,
+        name: players[id].name,
+        bot: Boolean(players[id].bot),
+        connected: players[id].connected
+      });
+    });
+  });
+  return queue;
+}
+
+/**
+ * Every table's game, including private and tournament tables, for the
+ * admin dashboard.
+ *
+ * @returns {object[]}
+ */
+function adminGamesView() {
+  return rooms.allRooms().map(room => ({
+    code: room.code,
+    name: room.name,
+    private: room.private,
+    tournament: room.tournament,
+    hostId: room.hostId,
+    phase: room.game.phase,
+    round: room.game.round,
+    mode: room.settings.mode,
+    maxRounds: room.settings.maxRounds,
+    targetScore: room.settings.targetScore,
+    paused: room.game.paused || room.game.hostPaused,
+    players: room.currentPlayers.map(id => ({
+      id,
+      name: players[id].name,
+      score: players[id].score,
+      bot: Boolean(players[id].bot),
+      connected: players[id].connected
+    })),
+    waiting: room.waiting.length
+  }));
+}
+
+/**
+ * Calls off a room's game from the admin dashboard.  Everyone goes back to
+ * the waiting room, where a full table is seated for a fresh game.
+ *
+ * @param {object} room
+ * @returns {boolean} false when no game has started
+ */
+function endGameByAdmin(room) {
+  if (resetGame(room)) return false;
+  io.to(room.code).emit('gameReset', { message: { key: 'gameEndedByAdmin' } });
+  updateRoomPlayers(room);
+  tryStartGame(room);
+  broadcastRoomList();
+  return true;
+}
+
+/**
+ * Disconnects a socket from the admin dashboard.  Its player leaves their
+ * table as if they had left on purpose and is forgotten, so the browser
+ * cannot resume the session.
+ *
+ * @param {object} socket
+ */
+function disconnectByAdmin(socket) {
+  const player = playerOf(socket);
+  socket.emit('removedByAdmin');
+  if (player && player.socketId === socket.id) {
+    exitRoom(player);
+    removePlayer(player);
+  }
+  socket.disconnect(true);
+}
+
+/**
+ * Writes a refused event to the audit log.
+ *
+ * @param {object} socket – the sender
+ * @param {string} event
+ * @param {string} code – the acknowledgement code it was refused with
+ */
+function auditRefusal(socket, event, code) {
+  const player = playerOf(socket);
+  audit.record({
+    socketId: socket.id,
+    address: socket.handshake.address,
+    playerId: player ? player.id : null,
+    name: player ? player.name : null,
+    event,
+    code
+  });
+}
+
+// Socket.IO connection handler
+io.on('connection', socket => {
+  // Every event is checked for its payload's shape and the socket's rate
+  // limit before its handler runs (see server/guard.js).  Those refused
+  // here, and those a handler refuses through its acknowledgement, are
+  // written to the audit log; a socket refused here too often is dropped.
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const refused = guard.check(socket.id, event, args);
+    if (refused) {
+      // An unknown event is logged and echoed under a placeholder, never
+      // by the name the client made up
+      const label = guard.eventLabel(event);
+      auditRefusal(socket, label, refused);
+      if (typeof args[args.length - 1] === 'function') {
+        acks.responder(args)(refused);
+      } else {
+        // Without a callback the client still learns why nothing happened
+        socket.emit('roomError', {
+          reason: 'refused',
+          event: label,
+          error: { code: refused, message: acks.MESSAGES[refused] }
+        });
+      }
+      if (guard.tooManyRefusals(socket.id)) socket.disconnect(true);
+      return;
+    }
+    const callback = packet[packet.length - 1];
+    if (typeof callback === 'function') {
+      packet[packet.length - 1] = response => {
+        if (!response.ok) auditRefusal(socket, event, response.error.code);
+        callback(response);
+      };
+    }
+    next();
+  });
+
+  // Rule presets for the create‑table form
+  socket.emit('rulePresets', rules.listPresets());
+
+  // Joining issues a session: a public player id and a secret token the
+  // browser keeps so it can resume after a dropped connection.
+  // `join` takes a name, or `{ name, profileKey }` from a browser that
+  // already owns a profile
+  socket.on('join', (data, ...rest) => {
+    const respond = acks.responder([data, ...rest]);
+    const { name, error } = names.cleanName(typeof data === 'string' ? data : data && data.name);
+    if (error) {
+      respond(error);
+      return;
+    }
+    let player = playerOf(socket);
+    // A member renaming themselves may not take a tablemate's name, and
+    // nobody at a table may change name once its game has started
+    const current = player && rooms.getRoom(player.room);
+    if (current && game.isStarted(current.game) && name !== player.name) {
+      respond('NAME_LOCKED');
+      return;
+    }
+    if (current) {
+      const taken = namesInRoom(current, player.id);
+      if (names.isTaken(name, taken)) {
+        respond('NAME_TAKEN', { suggestions: names.suggestNames(name, taken) });
+        return;
+      }
+    }
+    if (!player) {
+      player = {
+        id: crypto.randomBytes(8).toString('hex'),
+        token: crypto.randomBytes(24).toString('hex'),
+        socketId: socket.id,
+        connected: true,
+        name: '',
+        score: 0,
+        role: '',
+        pending: 0,
+        room: null,
+        // Team asked for in a team game's waiting room (see teams.js)
+        team: null,
+        // Code of the tournament this player is entered in, or null
+        tournament: null,
+        // Lifetime profile this player's results are recorded to
+        profileId: null
+      };
+      players[player.id] = player;
+      socket.data.playerId = player.id;
+      socket.join(player.id);
+      socket.emit('session', { id: player.id, token: player.token });
+      const { profile, key } = profiles.claim(data && data.profileKey, name);
+      player.profileId = profile.id;
+      socket.emit('profile', { id: profile.id, key });
+    }
+    player.name = name;
+    // Named players browse the lobby until they pick a room
+    if (!player.room) {
+      socket.join(LOBBY);
+      sendLobby(socket);
+    }
+    respond();
+  });
+
+  // Reattach a returning browser to its player using the stored token
+  socket.on('resume', data => {
+    const token = data && data.token;
+    const player = typeof token === 'string' && Object.values(players).find(p => p.token === token);
+    if (!player) {
+      socket.emit('resumeFailed');
+      return;
+    }
+    clearTimeout(graceTimers[player.id]);
+    delete graceTimers[player.id];
+    // A newer connection takes over from any older one for the same session
+    const previous = player.connected && player.socketId !== socket.id
+      ? io.sockets.sockets.get(player.socketId)
+      : null;
+    player.socketId = socket.id;
+    player.connected = true;
+    socket.data.playerId = player.id;
+    if (previous) previous.disconnect(true);
+    socket.join(player.id);
+    const tournament = tournaments.getTournament(player.tournament);
+    if (tournament) socket.join(tournaments.channel(tournament));
+    const room = rooms.getRoom(player.room);
+    if (room) {
+      socket.join(room.code);
+      if (room.currentPlayers.includes(player.id)) {
+        socket.join(rooms.seatChannel(room));
+      }
+    } else {
+      socket.join(LOBBY);
+    }
+    socket.emit('resumed', sessionSnapshot(player));
+    if (room) {
+      refreshPause(room);
+      tryStartGame(room);
+    } else {
+      sendLobby(socket);
+    }
+  });
+
+  // Lifetime statistics of this player's profile
+  socket.on('getProfile', () => {
+    const player = playerOf(socket);
+    if (!player) return;
+    socket.emit('profileStats', profiles.publicProfile(player.profileId));
+  });
+
+  socket.on('listRooms', () => {
+    sendLobby(socket);
+  });
+
+  socket.on('createRoom', data => {
+    const player = playerOf(socket);
+    if (!player || !player.name || player.room) return;
+    const name = data && typeof data.name === 'string' ? data.name.trim() : '';
+    const tableRules = rules.buildRules(data && data.rules);
+    if (!tableRules) {
+      socket.emit('roomError', { reason: 'invalidRules' });
+      return;
+    }
+    const password = data && data.password;
+    if (!rooms.isValidPassword(password)) {
+      socket.emit('roomError', { reason: 'invalidPassword' });
+      return;
+    }
+    // Private tables stay out of the lobby and are joined by invite link
+    const room = rooms.createRoom(name, tableRules, { private: Boolean(data && data.private), password });
+    room.hostId = player.id;
+    enterRoom(player, room);
+  });
+
+  socket.on('joinRoom', data => {
+    const player = playerOf(socket);
+    if (!player || !player.name || player.room) return;
+    const room = rooms.getRoom(data && data.code);
+    if (!room) {
+      socket.emit('roomError', { reason: 'notFound' });
+      return;
+    }
+    if (room.kicked.includes(player.profileId)) {
+      socket.emit('roomError', { reason: 'kicked', code: room.code });
+      return;
+    }
+    if (!rooms.checkPassword(room, data.password)) {
+      socket.emit('roomError', {
+        reason: data.password ? 'wrongPassword' : 'passwordRequired',
+        code: room.code
+      });
+      return;
+    }
+    // Nobody at a table shares a name; offer free alternatives instead
+    const taken = namesInRoom(room, player.id);
+    if (names.isTaken(player.name, taken)) {
+      socket.emit('roomError', {
+        reason: 'nameTaken',
+        code: room.code,
+        suggestions: names.suggestNames(player.name, taken)
+      });
+      return;
+    }
+    enterRoom(player, room);
+  });
+
+  socket.on('leaveRoom', () => {
+    const player = playerOf(socket);
+    if (!player || !player.room) return;
+    exitRoom(player);
+    socket.join(LOBBY);
+    sendLobby(socket);
+  });
+
+  // The host may change the table's settings until the first round is dealt
+  socket.on('updateSettings', data => {
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room || room.hostId !== player.id) return;
+    if (room.game.round > 0) {
+      socket.emit('roomError', { reason: 'settingsLocked' });
+      return;
+    }
+    const updated = settings.buildSettings(data, room.settings);
+    if (!updated) {
+      socket.emit('roomError', { reason: 'invalidSettings' });
+      return;
+    }
+    room.settings = updated;
+    // A table seated but not yet dealt may have just switched teams on or off
+    if (game.isStarted(room.game)) formTeams(room);
+    broadcastRoomSettings(room);
+  });
+
+  // Host adds a bot to fill an empty seat before the game starts
+  socket.on('addBot', data => {
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room || room.hostId !== player.id) return;
+    if (game.isStarted(room.game) || room.waiting.length >= rooms.SEATS) {
+      socket.emit('roomError', { reason: 'tableFull' });
+      return;
+    }
+    const strategy = (data && data.strategy) || bots.DEFAULT_STRATEGY;
+    if (!bots.STRATEGIES.includes(strategy)) return;
+    const bot = bots.createBot(strategy, rooms.members(room).map(id => players[id].name));
+    bot.room = room.code;
+    players[bot.id] = bot;
+    room.waiting.push(bot.id);
+    updateRoomPlayers(room);
+    tryStartGame(room);
+    broadcastRoomList();
+  });
+
+  // Host removes a bot that has not been seated yet
+  socket.on('removeBot', data => {
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room || room.hostId !== player.id || !data) return;
+    const bot = players[data.id];
+    if (!bot || !bot.bot || !room.waiting.includes(bot.id)) return;
+    room.waiting = room.waiting.filter(id => id !== bot.id);
+    delete players[bot.id];
+    updateRoomPlayers(room);
+    broadcastRoomList();
+  });
+
+  // The host removes a member from the room; a seated player's seat goes to
+  // the next in the queue
+  socket.on('kickPlayer', (data, ...rest) => {
+    const respond = acks.responder([data, ...rest]);
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room) {
+      respond('NOT_IN_ROOM');
+      return;
+    }
+    if (room.hostId !== player.id) {
+      respond('NOT_HOST');
+      return;
+    }
+    const target = data && players[data.id];
+    if (!target || target.id === player.id || !rooms.members(room).includes(target.id)) {
+      respond('UNKNOWN_PLAYER');
+      return;
+    }
+    recordHostAction(room, 'kick', player, target);
+    kickPlayer(room, target);
+    respond();
+  });
+
+  // The host hands the role to another person in the room
+  socket.on('transferHost', (data, ...rest) => {
+    const respond = acks.responder([data, ...rest]);
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room) {
+      respond('NOT_IN_ROOM');
+      return;
+    }
+    if (room.hostId !== player.id) {
+      respond('NOT_HOST');
+      return;
+    }
+    const target = data && players[data.id];
+    if (!target || target.bot || target.id === player.id || !rooms.members(room).includes(target.id)) {
+      respond('UNKNOWN_PLAYER');
+      return;
+    }
+    room.hostId = target.id;
+    recordHostAction(room, 'transfer', player, target);
+    broadcastRoomSettings(room);
+    respond();
+  });
+
+  // The host holds the game; shuffles and guesses are refused until the
+  // host resumes it
+  socket.on('pauseGame', (...args) => {
+    const respond = acks.responder(args);
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room) {
+      respond('NOT_IN_ROOM');
+      return;
+    }
+    if (room.hostId !== player.id) {
+      respond('NOT_HOST');
+      return;
+    }
+    const rejected = applyGameEvent(room, 'hostPause');
+    if (rejected) {
+      respond(acks.fromGame(rejected));
+      return;
+    }
+    cancelAdvance(room);
+    recordHostAction(room, 'pause', player);
+    announcePause(room);
+    respond();
+  });
+
+  socket.on('resumeGame', (...args) => {
+    const respond = acks.responder(args);
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room) {
+      respond('NOT_IN_ROOM');
+      return;
+    }
+    if (room.hostId !== player.id) {
+      respond('NOT_HOST');
+      return;
+    }
+    const rejected = applyGameEvent(room, 'hostResume');
+    if (rejected) {
+      respond(acks.fromGame(rejected));
+      return;
+    }
+    recordHostAction(room, 'resume', player);
+    // Still on hold while a seated player is away
+    if (game.isPaused(room.game)) {
+      announcePause(room);
+    } else {
+      resumePlay(room);
+    }
+    respond();
+  });
+
+  // A member picks a team in a table that plays in teams; `team` is 0 or
+  // 1, or null for no preference
+  socket.on('chooseTeam', (data, ...rest) => {
+    const respond = acks.responder([data, ...rest]);
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room) {
+      respond('NOT_IN_ROOM');
+      return;
+    }
+    if (!room.settings.teams) {
+      respond('NO_TEAMS');
+      return;
+    }
+    // Seated players keep their team until the game ends
+    if (room.currentPlayers.includes(player.id)) {
+      respond('TEAMS_LOCKED');
+      return;
+    }
+    const team = data && data.team;
+    if (team !== null && !teams.isValidTeam(team)) {
+      respond('INVALID_TEAM');
+      return;
+    }
+    player.team = team;
+    updateRoomPlayers(room);
+    respond();
+  });
+
+  // A named player sets up a tournament from the lobby and is its first
+  // entrant.  `advance` is how many go through from each table; every
+  // table plays with `rules` and `settings` (never in teams).
+  socket.on('createTournament', (data, ...rest) => {
+    const respond = acks.responder([data, ...rest]);
+    const player = playerOf(socket);
+    if (!player || !player.name) {
+      respond('INVALID_NAME');
+      return;
+    }
+    if (tournaments.getTournament(player.tournament)) {
+      respond('ALREADY_ENTERED');
+      return;
+    }
+    const advance = data && data.advance;
+    const tableRules = rules.buildRules(data && data.rules);
+    const tableSettings = settings.buildSettings(Object.assign({}, data && data.settings, { teams: false }));
+    if (!tournaments.ADVANCE_OPTIONS.includes(advance) || !tableRules || !tableSettings) {
+      respond('INVALID_TOURNAMENT');
+      return;
+    }
+    const tournament = tournaments.createTournament({
+      name: typeof data.name === 'string' ? data.name.trim() : '',
+      organizerId: player.id,
+      advance,
+      rules: tableRules,
+      settings: tableSettings
+    });
+    player.tournament = tournament.code;
+    socket.join(tournaments.channel(tournament));
+    respond();
+    broadcastTournament(tournament);
+    broadcastRoomList();
+  });
+
+  // Sign up for a tournament that has not started
+  socket.on('joinTournament', (data, ...rest) => {
+    const respond = acks.responder([data, ...rest]);
+    const player = playerOf(socket);
+    if (!player || !player.name) {
+      respond('INVALID_NAME');
+      return;
+    }
+    const tournament = tournaments.getTournament(data && data.code);
+    if (!tournament) {
+      respond('UNKNOWN_TOURNAMENT');
+      return;
+    }
+    if (player.tournament) {
+      respond(player.tournament === tournament.code ? undefined : 'ALREADY_ENTERED');
+      return;
+    }
+    if (tournament.status !== 'registering') {
+      respond('TOURNAMENT_STARTED');
+      return;
+    }
+    if (tournament.entrants.length >= tournaments.MAX_ENTRANTS) {
+      respond('TOURNAMENT_FULL');
+      return;
+    }
+    tournament.entrants.push(player.id);
+    player.tournament = tournament.code;
+    socket.join(tournaments.channel(tournament));
+    respond();
+    broadcastTournament(tournament);
+    broadcastRoomList();
+  });
+
+  // Follow a tournament's bracket without entering it
+  socket.on('watchTournament', (data, ...rest) => {
+    const respond = acks.responder([data, ...rest]);
+    const tournament = tournaments.getTournament(data && data.code);
+    if (!tournament) {
+      respond('UNKNOWN_TOURNAMENT');
+      return;
+    }
+    socket.join(tournaments.channel(tournament));
+    socket.emit('tournamentUpdate', tournaments.bracketView(tournament, entrantNames(tournament)));
+    respond();
+  });
+
+  // Stop following a tournament; an entrant also withdraws while it is
+  // still taking sign‑ups
+  socket.on('leaveTournament', (data, ...rest) => {
+    const respond = acks.responder([data, ...rest]);
+    const tournament = tournaments.getTournament(data && data.code);
+    if (!tournament) {
+      respond('UNKNOWN_TOURNAMENT');
+      return;
+    }
+    const player = playerOf(socket);
+    if (player && player.tournament === tournament.code) {
+      if (tournament.status !== 'registering') {
+        respond('TOURNAMENT_STARTED');
+        return;
+      }
+      withdrawEntrant(tournament, player);
+    }
+    socket.leave(tournaments.channel(tournament));
+    respond();
+  });
+
+  // The organizer seats the first stage once the field fills a bracket
+  socket.on('startTournament', (...args) => {
+    const respond = acks.responder(args);
+    const player = playerOf(socket);
+    const tournament = player && tournaments.getTournament(player.tournament);
+    if (!tournament) {
+      respond('NOT_ENTERED');
+      return;
+    }
+    if (tournament.organizerId !== player.id) {
+      respond('NOT_ORGANIZER');
+      return;
+    }
+    if (tournament.status !== 'registering') {
+      respond('TOURNAMENT_STARTED');
+      return;
+    }
+    if (!tournaments.stageSizes(tournament.entrants.length, tournament.advance)) {
+      respond('BRACKET_SIZE');
+      return;
+    }
+    tournament.status = 'running';
+    respond();
+    startStage(tournament, tournament.entrants);
+  });
+
+  // Table chat: free text or a quick emote, shared with everyone in the room
+  socket.on('chatMessage', data => {
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room) return;
+    if (room.settings.muteChatWhileGuessing && awaitingGuess(room)) {
+      socket.emit('chatError', { reason: 'muted' });
+      return;
+    }
+    const { message, error } = chat.buildMessage(player, data);
+    if (error) {
+      socket.emit('chatError', { reason: error });
+      return;
+    }
+    if (!chat.withinRateLimit(player.id)) {
+      socket.emit('chatError', { reason: 'rateLimited' });
+      return;
+    }
+    chat.appendMessage(room, message);
+    io.to(room.code).emit('chatMessage', message);
+  });
+
+  socket.on('shuffle', (...args) => {
+    const respond = acks.responder(args);
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room) {
+      respond('NOT_IN_ROOM');
+      return;
+    }
+    if (!room.currentPlayers.includes(player.id)) {
+      respond('NOT_SEATED');
+      return;
+    }
+    // The game refuses a shuffle while paused, over, or with a round
+    // already in progress
+    const rejected = startRound(room);
+    respond(rejected ? acks.fromGame(rejected) : undefined);
+  });
+
+  socket.on('guess', (data, ...rest) => {
+    const respond = acks.responder([data, ...rest]);
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room) {
+      respond('NOT_IN_ROOM');
+      return;
+    }
+    if (!room.currentPlayers.includes(player.id)) {
+      respond('NOT_SEATED');
+      return;
+    }
+    // Refused unless a round is in progress and the game is not paused
+    const rejected = game.transition(room.game, 'guess').error;
+    if (rejected) {
+      respond(acks.fromGame(rejected));
+      return;
+    }
+    const turn = policeTurnData(room);
+    if (turn.policeId !== player.id) {
+      respond('NOT_YOUR_TURN');
+      return;
+    }
+    // Only the two suspects can be accused
+    const target = turn.suspects.find(s => s.id === data.id);
+    if (!target) {
+      respond('INVALID_TARGET');
+      return;
+    }
+    resolveRound(room, player.id, target.id);
+    respond();
+  });
+
+  socket.on('disconnect', () => {
+    guard.forgetSocket(socket.id);
+    const player = playerOf(socket);
+    // Ignore connections that never joined or were replaced by a newer one
+    if (!player || player.socketId !== socket.id) return;
+    const room = rooms.getRoom(player.room);
+    // Seated players keep their seat for a grace period
+    if (room && game.isStarted(room.game) && room.currentPlayers.includes(player.id)) {
+      holdSeat(room, player);
+      return;
+    }
+    exitRoom(player);
+    removePlayer(player);
+  });
+
+  // A seated player answers the rematch vote of a finished game.  Once
+  // everyone has accepted, or anyone has declined, the vote is acted on
+  // straight away; otherwise the table sees the new tally.
+  socket.on('rematchVote', (data, ...rest) => {
+    const respond = acks.responder([data, ...rest]);
+    const player = playerOf(socket);
+    const room = player && rooms.getRoom(player.room);
+    if (!room) {
+      respond('NOT_IN_ROOM');
+      return;
+    }
+    // A tournament table waits for the rest of its stage instead
+    if (room.tournament) {
+      respond('TOURNAMENT_TABLE');
+      return;
+    }
+    if (!room.rematch) {
+      respond('NO_VOTE');
+      return;
+    }
+    const refused = rematch.castVote(room.rematch, player.id, data.accept);
+    if (refused) {
+      respond(refused);
+      return;
+    }
+    respond();
+    if (rematch.outcome(room.rematch)) {
+      closeRematchVote(room);
+    } else {
+      broadcastRematch(room);
+    }
+  });
+});
+
+// Write pending profile changes before the process exits
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    try {
+      profiles.flush();
+    } finally {
+      process.exit(0);
+    }
+  });
+});
+
+profiles.load();
+server.listen(PORT, () => {
+  console.log(`Server listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,99 @@
+/*
+ * Acknowledgements for socket events that a player's action can fail.
+ *
+ * The client passes a callback as the last argument of `join`, `shuffle`,
+ * `guess`, `rematchVote`, `chooseTeam`, the host's `kickPlayer`,
+ * `transferHost`, `pauseGame` and `resumeGame`, and the tournament events
+ * (`createTournament`, `joinTournament`, `watchTournament`,
+ * `leaveTournament` and `startTournament`); the server always answers it
+ * with either
+ *
+ *   { ok: true }
+ *   { ok: false, error: { code, message } }
+ *
+ * The code is stable and meant for programs: the client looks it up in its
+ * translations.  The message is a plain English fallback.  Some errors carry
+ * extra fields, such as `suggestions` with NAME_TAKEN.
+ *
+ * Any event may also be refused before its handler runs, with
+ * INVALID_PAYLOAD or RATE_LIMITED (see guard.js).  Events that take no
+ * callback are then answered with a `roomError` of reason 'refused' that
+ * carries the same error.
+ */
+
+const MESSAGES = {
+  INVALID_NAME: 'Please enter a name using letters, numbers, spaces or . \' - _',
+  NAME_TOO_LONG: 'Names can be at most 20 characters long.',
+  NAME_NOT_ALLOWED: 'Please choose a different name.',
+  NAME_TAKEN: 'Someone at your table already uses that name.',
+  NOT_IN_ROOM: 'Join a table first.',
+  NOT_SEATED: 'Only seated players can do that.',
+  GAME_NOT_STARTED: 'The game has not started yet.',
+  GAME_PAUSED: 'The game is paused.',
+  GAME_OVER: 'The game is over.',
+  ROUND_IN_PROGRESS: 'A round is already in progress.',
+  NO_GUESS_PENDING: 'There is no guess to make right now.',
+  NOT_YOUR_TURN: 'Only the Police can guess.',
+  INVALID_TARGET: 'Accuse one of the two suspects.',
+  NOT_HOST: 'Only the host can do that.',
+  UNKNOWN_PLAYER: 'Choose another player at your table.',
+  ALREADY_PAUSED: 'The game is already paused.',
+  NOT_PAUSED: 'The game is not paused.',
+  NO_TEAMS: 'This table does not play in teams.',
+  TEAMS_LOCKED: 'Teams are fixed until the game ends.',
+  INVALID_TEAM: 'Choose team A or team B.',
+  UNKNOWN_TOURNAMENT: 'No tournament found with that code.',
+  ALREADY_ENTERED: 'You are already entered in a tournament.',
+  NOT_ENTERED: 'You are not entered in this tournament.',
+  NOT_ORGANIZER: 'Only the organizer can do that.',
+  TOURNAMENT_STARTED: 'The tournament has already started.',
+  TOURNAMENT_FULL: 'The tournament is full.',
+  BRACKET_SIZE: 'A bracket needs 4, 16 or 64 players when one goes through from each table, or 4, 8, 16, 32 or 64 when two do.',
+  INVALID_TOURNAMENT: 'Choose one or two players to go through from each table and a valid game length.',
+  TOURNAMENT_TABLE: 'Tournament tables move on once every table has finished.',
+  NO_VOTE: 'There is no rematch vote right now.',
+  ALREADY_VOTED: 'You have already answered.',
+  NAME_LOCKED: 'Names cannot be changed once the game has started.',
+  RATE_LIMITED: 'You are doing that too often. Please wait a moment.',
+  INVALID_PAYLOAD: 'The server did not understand that request.'
+};
+
+/**
+ * Wraps the callback among a handler's arguments, if the client sent one.
+ * Clients that did not ask for an acknowledgement get none.
+ *
+ * @param {Array} args – the arguments the event handler received
+ * @returns {function(string=, object=)} call with nothing on success, or an
+ *   error code and any extra fields for the error
+ */
+function responder(args) {
+  const callback = args[args.length - 1];
+  return (code, details) => {
+    if (typeof callback !== 'function') return;
+    callback(code
+      ? { ok: false, error: Object.assign({ code, message: MESSAGES[code] }, details) }
+      : { ok: true });
+  };
+}
+
+/**
+ * The code for an event the game's state machine rejected (see game.js).
+ *
+ * @param {{ code: string, event: string, phase: string }} rejected
+ * @returns {string}
+ */
+function fromGame(rejected) {
+  if (rejected.code === 'alreadyPaused') return 'ALREADY_PAUSED';
+  if (rejected.code === 'notPaused') return 'NOT_PAUSED';
+  if (rejected.code === 'paused') return 'GAME_PAUSED';
+  if (rejected.phase === 'lobby') return 'GAME_NOT_STARTED';
+  if (rejected.phase === 'gameOver') return 'GAME_OVER';
+  if (rejected.event === 'shuffle') return 'ROUND_IN_PROGRESS';
+  return 'NO_GUESS_PENDING';
+}
+
+module.exports = {
+  MESSAGES,
+  responder,
+  fromGame
+};
@@ -0,0 +1,108 @@
+/*
+ * Access control and bookkeeping for the admin dashboard.
+ *
+ * The dashboard (GET /admin) and its JSON API (under /api/admin) are open
+ * only to requests carrying the token set in the ADMIN_TOKEN environment
+ * variable, either as `Authorization: Bearer <token>` or as `?token=` in
+ * the address (handy for opening the page in a browser).  Without
+ * ADMIN_TOKEN the dashboard is switched off and its routes answer 404.
+ *
+ * The server's live state is read in server.js; this module keeps only the
+ * recent departures, which would otherwise be forgotten as soon as they
+ * were announced to the table.
+ */
+
+const crypto = require('crypto');
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+// Departures kept for the dashboard, newest first.
+const MAX_DEPARTURES = 50;
+const MAX_ANNOUNCEMENT_LENGTH = 200;
+
+const departures = [];
+
+/**
+ * The token a request presents, if any.
+ *
+ * @param {object} req – an Express request
+ * @returns {string}
+ */
+function tokenOf(req) {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  if (match) return match[1];
+  return typeof req.query.token === 'string' ? req.query.token : '';
+}
+
+/**
+ * Whether a token matches ADMIN_TOKEN.  Both are hashed first so the
+ * comparison takes the same time whatever their lengths.
+ *
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isAdminToken(token) {
+  if (!ADMIN_TOKEN || !token) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN));
+}
+
+/**
+ * Express middleware that lets only admins through.  Answers 404 when the
+ * dashboard is switched off and 401 for a missing or wrong token.
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({ error: 'notFound' });
+    return;
+  }
+  if (!isAdminToken(tokenOf(req))) {
+    res.status(401).json({ error: 'unauthorized' });
+    return;
+  }
+  next();
+}
+
+/**
+ * Notes a seated player leaving a game in play.
+ *
+ * @param {object} departure
+ * @param {string} departure.room – the table's code
+ * @param {string} departure.id – the player's id
+ * @param {string} departure.name
+ * @param {number} departure.round – the round being played
+ * @param {string} departure.outcome – 'replaced' when someone took the
+ *   seat and the game went on, 'reset' when the game was called off
+ */
+function recordDeparture(departure) {
+  departures.unshift(Object.assign({ at: Date.now() }, departure));
+  departures.length = Math.min(departures.length, MAX_DEPARTURES);
+}
+
+/**
+ * The most recent departures, newest first.
+ *
+ * @returns {object[]}
+ */
+function recentDepartures() {
+  return departures.slice();
+}
+
+/**
+ * Cleans an announcement's text.
+ *
+ * @param {*} text
+ * @returns {string|null} the trimmed text, or null if it is not a string of
+ *   1 to MAX_ANNOUNCEMENT_LENGTH characters
+ */
+function cleanAnnouncement(text) {
+  if (typeof text !== 'string') return null;
+  const trimmed = text.trim();
+  return trimmed && trimmed.length <= MAX_ANNOUNCEMENT_LENGTH ? trimmed : null;
+}
+
+module.exports = {
+  requireAdmin,
+  recordDeparture,
+  recentDepartures,
+  cleanAnnouncement
+};
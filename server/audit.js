@@ -0,0 +1,81 @@
+/*
+ * Audit log of socket events the server refused.
+ *
+ * Every refusal is noted with who sent it: an event turned away before its
+ * handler ran (see guard.js) and one a handler declined through its
+ * acknowledgement (see acks.js).  The most recent entries are kept in
+ * memory for the admin dashboard, and each is appended as one line of JSON
+ * to AUDIT_LOG (default data/audit.log).
+ *
+ * A client that keeps repeating a refused event would flood the log, so
+ * the same refusal from the same socket is written once per REPEAT_MS;
+ * the repeats are counted on the entry kept in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_LOG = process.env.AUDIT_LOG || path.join(__dirname, '..', 'data', 'audit.log');
+// Entries kept for the dashboard, newest first.
+const MAX_RECENT = 200;
+const REPEAT_MS = 10 * 1000;
+
+const recent = [];
+
+/**
+ * Appends one entry to the log file.  Failures are reported but otherwise
+ * ignored.
+ *
+ * @param {object} entry
+ */
+function writeEntry(entry) {
+  fs.mkdir(path.dirname(AUDIT_LOG), { recursive: true }, err => {
+    if (err) {
+      console.error('Could not write the audit log:', err.message);
+      return;
+    }
+    fs.appendFile(AUDIT_LOG, `${JSON.stringify(entry)}\n`, writeErr => {
+      if (writeErr) console.error('Could not write the audit log:', writeErr.message);
+    });
+  });
+}
+
+/**
+ * Notes a refused event.
+ *
+ * @param {object} refusal
+ * @param {string} refusal.socketId
+ * @param {string} refusal.address – the client's IP address
+ * @param {string|null} refusal.playerId – null before the socket has joined
+ * @param {string|null} refusal.name
+ * @param {string} refusal.event
+ * @param {string} refusal.code – the acknowledgement code it was refused with
+ * @param {number} [now]
+ */
+function record(refusal, now = Date.now()) {
+  const repeated = recent.find(entry => entry.socketId === refusal.socketId
+    && entry.event === refusal.event && entry.code === refusal.code && now - entry.at < REPEAT_MS);
+  if (repeated) {
+    repeated.repeats += 1;
+    return;
+  }
+  const entry = Object.assign({ at: now }, refusal);
+  writeEntry(entry);
+  recent.unshift(Object.assign({ repeats: 0 }, entry));
+  recent.length = Math.min(recent.length, MAX_RECENT);
+}
+
+/**
+ * The most recent refusals, newest first.
+ *
+ * @returns {object[]}
+ */
+function recentEntries() {
+  return recent.slice();
+}
+
+module.exports = {
+  AUDIT_LOG,
+  record,
+  recentEntries
+};
@@ -0,0 +1,105 @@
+/*
+ * Computer‑controlled players for tables that are short of people.
+ *
+ * A bot is an ordinary entry in the server's player registry with
+ * `bot: true`; it never has a socket, so it is always "connected" and the
+ * server plays its turns for it.  This module creates bots and decides
+ * whom a bot accuses when it is dealt the Police.
+ *
+ * Strategies:
+ *   random    – accuse either suspect with equal chance
+ *   heuristic – roles are dealt at random, so no suspect is likelier to
+ *               hold the target role; instead the bot accuses whoever is
+ *               furthest ahead in this game's history, so a correct guess
+ *               costs the leader the target role's points.  When the rules
+ *               pay a wrongly accused player, it accuses whoever is furthest
+ *               behind instead, so a wrong guess does not help the leader.
+ *               If neither outcome moves any points it guesses at random.
+ */
+
+const crypto = require('crypto');
+const names = require('./names');
+
+const STRATEGIES = ['random', 'heuristic'];
+const DEFAULT_STRATEGY = 'heuristic';
+// Names given to bots, in order of use.
+const BOT_NAMES = ['Robo Raju', 'Robo Mina', 'Robo Tuni', 'Robo Bablu'];
+// How long a bot "thinks" before accusing someone, in ms.
+const THINK_MIN_MS = 1500;
+const THINK_MAX_MS = 3500;
+
+/**
+ * Creates a bot player record.  Its name differs from every name at the
+ * table, however that name is written (see names.isTaken).
+ *
+ * @param {string} strategy – one of STRATEGIES
+ * @param {string[]} takenNames – names already used at the table
+ * @returns {object}
+ */
+function createBot(strategy, takenNames) {
+  let name = BOT_NAMES.find(n => !names.isTaken(n, takenNames));
+  for (let n = takenNames.length + 1; !name; n += 1) {
+    if (!names.isTaken(`Robo ${n}`, takenNames)) name = `Robo ${n}`;
+  }
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    token: null,
+    socketId: null,
+    connected: true,
+    bot: true,
+    strategy,
+    name,
+    score: 0,
+    role: '',
+    pending: 0,
+    room: null,
+    profileId: null
+  };
+}
+
+/**
+ * A random think time so bots do not answer instantly.
+ *
+ * @returns {number}
+ */
+function thinkTime() {
+  return THINK_MIN_MS + Math.floor(Math.random() * (THINK_MAX_MS - THINK_MIN_MS));
+}
+
+function pickRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Chooses the suspect a bot police accuses.
+ *
+ * @param {string} strategy
+ * @param {object} turn
+ * @param {Array<{ id: string }>} turn.suspects – the two players to choose from
+ * @param {string} turn.guessTarget – the role being hunted this round
+ * @param {object[]} turn.history – the game's round history
+ * @param {object} turn.rules – the table's scoring rules
+ * @returns {string} player id of the accused
+ */
+function chooseSuspect(strategy, { suspects, guessTarget, history, rules }) {
+  if (strategy !== 'heuristic') return pickRandom(suspects).id;
+  if (rules.points[guessTarget] === 0 && !rules.transferOnWrong) return pickRandom(suspects).id;
+  const totals = {};
+  suspects.forEach(s => { totals[s.id] = 0; });
+  history.forEach(entry => {
+    entry.gains.forEach(gain => {
+      if (gain.id in totals) totals[gain.id] += gain.points;
+    });
+  });
+  const sign = rules.transferOnWrong ? -1 : 1;
+  const best = Math.max(...suspects.map(s => sign * totals[s.id]));
+  return pickRandom(suspects.filter(s => sign * totals[s.id] === best)).id;
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  createBot,
+  thinkTime,
+  chooseSuspect
+};
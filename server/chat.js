@@ -0,0 +1,99 @@
+/*
+ * Table chat for the Chor–Dakat–Babu–Police server.
+ *
+ * Each room keeps a short log of recent messages so a player who reconnects
+ * or sits down late sees what was said.  Messages are either free text or
+ * one of a few quick emotes, which are sent as keys so every client can
+ * show them in its own language.  Text is stored exactly as typed; clients
+ * must insert it as text, never as HTML.
+ */
+
+// Longest text message accepted, in characters.
+const MAX_LENGTH = 200;
+// Number of recent messages kept per room.
+const HISTORY_SIZE = 50;
+// At most RATE_COUNT messages per player within RATE_WINDOW_MS.
+const RATE_COUNT = 5;
+const RATE_WINDOW_MS = 10 * 1000;
+
+// Quick emotes players can send with one click.  Bluffing is allowed.
+const EMOTES = ['notMe', 'iAmBabu', 'trustMe', 'suspicious'];
+
+// Send times of each player's recent messages, keyed by player id.
+const recentSends = {};
+// Running message id so clients can tell messages apart.
+let nextId = 1;
+
+/**
+ * Records a send attempt and reports whether the player is within the
+ * rate limit.
+ *
+ * @param {string} playerId
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function withinRateLimit(playerId, now = Date.now()) {
+  const times = (recentSends[playerId] || []).filter(at => now - at < RATE_WINDOW_MS);
+  if (times.length >= RATE_COUNT) {
+    recentSends[playerId] = times;
+    return false;
+  }
+  times.push(now);
+  recentSends[playerId] = times;
+  return true;
+}
+
+/**
+ * Builds a chat message from a client's payload.
+ *
+ * @param {object} player – the sender
+ * @param {object} data – `{ text }` or `{ emote }`
+ * @returns {{ message: object }|{ error: string }} the message, or the
+ *   reason it was rejected ('invalid' or 'tooLong')
+ */
+function buildMessage(player, data) {
+  const message = { id: nextId++, playerId: player.id, name: player.name, at: Date.now() };
+  if (data && typeof data.emote === 'string') {
+    if (!EMOTES.includes(data.emote)) return { error: 'invalid' };
+    message.emote = data.emote;
+    return { message };
+  }
+  const text = data && typeof data.text === 'string' ? data.text.trim() : '';
+  if (!text) return { error: 'invalid' };
+  if (text.length > MAX_LENGTH) return { error: 'tooLong' };
+  message.text = text;
+  return { message };
+}
+
+/**
+ * Appends a message to a room's log, dropping the oldest beyond the
+ * history size.
+ *
+ * @param {object} room
+ * @param {object} message
+ */
+function appendMessage(room, message) {
+  room.chat.push(message);
+  if (room.chat.length > HISTORY_SIZE) {
+    room.chat.splice(0, room.chat.length - HISTORY_SIZE);
+  }
+}
+
+/**
+ * Forgets a player's rate‑limit history once they leave the server.
+ *
+ * @param {string} playerId
+ */
+function forgetPlayer(playerId) {
+  delete recentSends[playerId];
+}
+
+module.exports = {
+  MAX_LENGTH,
+  HISTORY_SIZE,
+  EMOTES,
+  withinRateLimit,
+  buildMessage,
+  appendMessage,
+  forgetPlayer
+};
@@ -0,0 +1,112 @@
+/*
+ * Fair, verifiable dealing of roles.
+ *
+ * Roles are shuffled with Fisher–Yates, which gives every ordering the same
+ * chance.  The shuffle takes its random numbers from an injectable source so
+ * a deal can be reproduced from a seed.
+ *
+ * Every round is dealt from its own seed using commit–reveal: the SHA‑256
+ * hash of the seed is published when the roles are dealt, and the seed
+ * itself once the round is resolved.  Anyone can then check that the seed
+ * matches the hash and that it produces the roles that were dealt, so the
+ * server cannot have changed the deal after seeing the police's guess.
+ *
+ * A host's game seed makes every deal of a game repeatable, but people
+ * pick seeds that are easy to guess.  So each game also draws a secret
+ * nonce, and a seeded round's seed is sha256(`${nonce}:${gameSeed}:round:${n}`):
+ * neither a revealed round seed nor the game seed, which the host knows,
+ * gives away a later deal.  The nonce is published when the game is over.
+ *
+ * The random source for a seed is a counter hashed with SHA‑256: the i‑th
+ * number is the first four bytes of sha256(`${seed}:${i}`), read as a
+ * big‑endian unsigned integer and divided by 2^32.  Seat k receives the
+ * k‑th role of shuffle(['Babu', 'Police', 'Chor', 'Dakat']).
+ */
+
+const crypto = require('crypto');
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest();
+}
+
+/**
+ * A deterministic random number source in [0, 1) derived from a seed.
+ *
+ * @param {string} seed
+ * @returns {function(): number}
+ */
+function seededRandom(seed) {
+  let counter = 0;
+  return () => sha256(`${seed}:${counter++}`).readUInt32BE(0) / 2 ** 32;
+}
+
+/**
+ * Returns a shuffled copy of a list (Fisher–Yates).  The list itself is not
+ * changed.
+ *
+ * @param {Array} list
+ * @param {function(): number} [random] – source of numbers in [0, 1)
+ * @returns {Array}
+ */
+function shuffle(list, random = Math.random) {
+  const result = list.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * A fresh secret to mix into a game's round seeds.
+ *
+ * @returns {string}
+ */
+function createNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * The seed for one round.  Without a game seed it is fresh randomness;
+ * with one, every round of the game can be dealt again identically from
+ * the game seed and the game's nonce.
+ *
+ * @param {string|null} gameSeed – optional seed for the whole game
+ * @param {number} round – 1‑based round number
+ * @param {string} nonce – the game's secret (see createNonce)
+ * @returns {string}
+ */
+function roundSeed(gameSeed, round, nonce) {
+  if (gameSeed) return sha256(`${nonce}:${gameSeed}:round:${round}`).toString('hex');
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * The published commitment to a seed.
+ *
+ * @param {string} seed
+ * @returns {string} hex SHA‑256 of the seed
+ */
+function commitment(seed) {
+  return sha256(seed).toString('hex');
+}
+
+/**
+ * Deals roles to seats from a seed.
+ *
+ * @param {string[]} roles – roles in canonical order
+ * @param {string} seed
+ * @returns {string[]} the role for each seat, in seat order
+ */
+function dealRoles(roles, seed) {
+  return shuffle(roles, seededRandom(seed));
+}
+
+module.exports = {
+  seededRandom,
+  shuffle,
+  createNonce,
+  roundSeed,
+  commitment,
+  dealRoles
+};
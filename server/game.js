@@ -0,0 +1,148 @@
+/*
+ * The flow of one table's game as an explicit state machine.
+ *
+ * This module knows nothing about sockets, players or scoring; it only
+ * decides which step of a game may happen next.  A game is a small plain
+ * object that is never changed in place:
+ *
+ *   phase      – where the game is (see below)
+ *   round      – number of the round dealt most recently, 0 before the first
+ *   paused     – true while a seated player is disconnected
+ *   hostPaused – true while the host has paused the game
+ *
+ * Phases and the events that move between them:
+ *
+ *   lobby          –seat→     ready           four players are seated
+ *   ready          –shuffle→  dealing         round 1 is being dealt
+ *   dealing        –dealt→    awaitingGuess   roles are out, police to guess
+ *   awaitingGuess  –guess→    roundResolved   result announced
+ *                             gameOver        …and it was the last round
+ *   awaitingGuess  –cancel→   ready or        the round is void (a seat
+ *                             roundResolved   changed hands) and is dealt again
+ *   roundResolved  –shuffle→  dealing         the next round is being dealt
+ *   gameOver       –restart→  lobby           the rematch vote is decided
+ *   any but lobby  –abort→    lobby           a player left mid‑game
+ *
+ * `pause` and `resume` set the paused flag in any phase but the lobby, and
+ * `hostPause` and `hostResume` the host's flag while the game is being
+ * played.  Shuffles and guesses are refused while either is set.  An event
+ * that is not allowed returns an error describing why instead of a new
+ * game.
+ */
+
+const PHASES = ['lobby', 'ready', 'dealing', 'awaitingGuess', 'roundResolved', 'gameOver'];
+const STARTED_PHASES = PHASES.filter(phase => phase !== 'lobby');
+const PLAYING_PHASES = STARTED_PHASES.filter(phase => phase !== 'gameOver');
+
+// For each event: the phases it is allowed in, and whether a pause blocks it.
+const EVENTS = {
+  seat: { from: ['lobby'] },
+  shuffle: { from: ['ready', 'roundResolved'], blockedByPause: true },
+  dealt: { from: ['dealing'] },
+  guess: { from: ['awaitingGuess'], blockedByPause: true },
+  cancel: { from: ['awaitingGuess'] },
+  restart: { from: ['gameOver'] },
+  abort: { from: STARTED_PHASES },
+  pause: { from: STARTED_PHASES },
+  resume: { from: STARTED_PHASES },
+  hostPause: { from: PLAYING_PHASES },
+  hostResume: { from: PLAYING_PHASES }
+};
+
+/**
+ * A new game waiting for players.
+ *
+ * @returns {{ phase: string, round: number, paused: boolean, hostPaused: boolean }}
+ */
+function createGame() {
+  return { phase: 'lobby', round: 0, paused: false, hostPaused: false };
+}
+
+/**
+ * Works out the game after an event.
+ *
+ * @param {object} game – the current game
+ * @param {string} event – one of the keys of EVENTS
+ * @param {object} [data]
+ * @param {boolean} [data.finished] – for 'guess': whether this result ends
+ *   the game (decided by the table's settings)
+ * @returns {{ game: object }|{ error: { code: string, event: string, phase: string } }}
+ *   the new game, or why the event was rejected: 'unknownEvent',
+ *   'wrongPhase', 'paused', or for the host's events 'alreadyPaused' and
+ *   'notPaused'
+ */
+function transition(game, event, data = {}) {
+  const rule = EVENTS[event];
+  const reject = code => ({ error: { code, event, phase: game.phase } });
+  if (!rule) return reject('unknownEvent');
+  if (!rule.from.includes(game.phase)) return reject('wrongPhase');
+  if (rule.blockedByPause && isPaused(game)) return reject('paused');
+  if (event === 'hostPause' && game.hostPaused) return reject('alreadyPaused');
+  if (event === 'hostResume' && !game.hostPaused) return reject('notPaused');
+  switch (event) {
+    case 'seat':
+      return { game: Object.assign(createGame(), { phase: 'ready' }) };
+    case 'shuffle':
+      return { game: Object.assign({}, game, { phase: 'dealing', round: game.round + 1 }) };
+    case 'dealt':
+      return { game: Object.assign({}, game, { phase: 'awaitingGuess' }) };
+    case 'guess':
+      return { game: Object.assign({}, game, { phase: data.finished ? 'gameOver' : 'roundResolved' }) };
+    case 'cancel': {
+      // Back to before the deal, so the next shuffle deals the same round
+      const round = game.round - 1;
+      return { game: Object.assign({}, game, { phase: round > 0 ? 'roundResolved' : 'ready', round }) };
+    }
+    case 'pause':
+      return { game: Object.assign({}, game, { paused: true }) };
+    case 'resume':
+      return { game: Object.assign({}, game, { paused: false }) };
+    case 'hostPause':
+      return { game: Object.assign({}, game, { hostPaused: true }) };
+    case 'hostResume':
+      return { game: Object.assign({}, game, { hostPaused: false }) };
+    default:
+      // restart and abort
+      return { game: createGame() };
+  }
+}
+
+/**
+ * Whether an event would currently be accepted.
+ *
+ * @param {object} game
+ * @param {string} event
+ * @returns {boolean}
+ */
+function canApply(game, event) {
+  return !transition(game, event).error;
+}
+
+/**
+ * Whether play is on hold, for a disconnected player or by the host.
+ *
+ * @param {object} game
+ * @returns {boolean}
+ */
+function isPaused(game) {
+  return game.paused || game.hostPaused;
+}
+
+/**
+ * Whether players are seated at the table (any phase but the lobby).
+ *
+ * @param {object} game
+ * @returns {boolean}
+ */
+function isStarted(game) {
+  return game.phase !== 'lobby';
+}
+
+module.exports = {
+  PHASES,
+  createGame,
+  transition,
+  canApply,
+  isPaused,
+  isStarted
+};
@@ -0,0 +1,233 @@
+/*
+ * Checks made on every socket event before its handler runs.
+ *
+ * A socket may send each event only so many times within RATE_WINDOW_MS
+ * (RATE_LIMITS), so a client cannot flood a table with shuffles, guesses
+ * or rematch votes; beyond that it is refused with RATE_LIMITED.  Events
+ * the server does not know share one allowance, whatever their names.
+ * Each event the server accepts has a schema for its payload in SCHEMAS;
+ * an unknown event, or one whose payload does not match, is refused with
+ * INVALID_PAYLOAD.  Both codes are answered like any other acknowledgement
+ * (see acks.js), or with a `roomError` for an event sent without one.
+ *
+ * A socket refused more than MAX_REFUSALS times within RATE_WINDOW_MS is
+ * up to no good and is disconnected (see tooManyRefusals).  Refusals are
+ * written to the audit log under eventLabel, so an unknown event's name,
+ * which the client chose, never reaches it.
+ *
+ * The schemas check only the shape of a payload.  Whether its values make
+ * sense, and whether the sender may do what it asks – is seated, is the
+ * host – is still decided by the handlers in server.js.
+ */
+
+// Longest string accepted in any field.  Handlers apply their own, tighter
+// limits (names, chat, passwords) and explain them to the player.
+const MAX_STRING = 1000;
+const RATE_WINDOW_MS = 10 * 1000;
+// Name under which every event the server does not know is counted and
+// logged.
+const UNKNOWN_EVENT = '(unknown)';
+// Times each event may be sent per socket within RATE_WINDOW_MS; events not
+// listed allow DEFAULT_RATE.
+const DEFAULT_RATE = 20;
+const RATE_LIMITS = {
+  [UNKNOWN_EVENT]: 5,
+  join: 5,
+  resume: 5,
+  createRoom: 5,
+  createTournament: 5,
+  shuffle: 5,
+  guess: 5,
+  rematchVote: 3,
+  chatMessage: 10
+};
+
+// Field types.  Numbers must be finite; a field may also be optional
+// (absent) or nullable.
+const string = (max = MAX_STRING) => ({ type: 'string', max });
+const number = () => ({ type: 'number' });
+const integer = () => ({ type: 'integer' });
+const boolean = () => ({ type: 'boolean' });
+// An object with exactly these fields, or any plain object when `fields`
+// is left out (rules and settings, which have their own validation)
+const object = fields => ({ type: 'object', fields });
+const optional = spec => Object.assign({ optional: true }, spec);
+const nullable = spec => Object.assign({ nullable: true }, spec);
+const oneOf = (...options) => ({ oneOf: options });
+
+const CODE = object({ code: string() });
+const PLAYER = object({ id: string() });
+
+// Payload of each event, or null for events sent without one.  A trailing
+// acknowledgement callback is not part of the payload.
+const SCHEMAS = {
+  join: oneOf(string(), object({ name: string(), profileKey: optional(nullable(string())) })),
+  resume: object({ token: string() }),
+  getProfile: null,
+  listRooms: null,
+  createRoom: object({
+    name: optional(string()),
+    rules: optional(object()),
+    private: optional(boolean()),
+    password: optional(string())
+  }),
+  joinRoom: object({ code: string(), password: optional(string()) }),
+  leaveRoom: null,
+  updateSettings: object({
+    mode: optional(string()),
+    maxRounds: optional(nullable(number())),
+    targetScore: optional(nullable(number())),
+    autoAdvance: optional(boolean()),
+    advanceDelayMs: optional(nullable(number())),
+    resultDisplayMs: optional(nullable(number())),
+    guessTimeoutMs: optional(nullable(number())),
+    timeoutOutcome: optional(string()),
+    substituteScore: optional(string()),
+    muteChatWhileGuessing: optional(boolean()),
+    teams: optional(boolean()),
+    seed: optional(nullable(string()))
+  }),
+  addBot: object({ strategy: optional(string()) }),
+  removeBot: PLAYER,
+  kickPlayer: PLAYER,
+  transferHost: PLAYER,
+  pauseGame: null,
+  resumeGame: null,
+  chooseTeam: object({ team: nullable(integer()) }),
+  createTournament: object({
+    name: optional(string()),
+    advance: integer(),
+    rules: optional(object()),
+    settings: optional(object())
+  }),
+  joinTournament: CODE,
+  watchTournament: CODE,
+  leaveTournament: CODE,
+  startTournament: null,
+  chatMessage: object({ text: optional(string()), emote: optional(string()) }),
+  shuffle: null,
+  guess: PLAYER,
+  rematchVote: object({ accept: boolean() })
+};
+
+// Refusals a socket may collect within RATE_WINDOW_MS before it is
+// disconnected.
+const MAX_REFUSALS = 30;
+
+// Send times of each socket's recent events: socket id → event → times.
+const recentEvents = {};
+// Times each socket's recent events were refused: socket id → times.
+const recentRefusals = {};
+
+/**
+ * Whether a value matches a field's schema.
+ *
+ * @param {object} spec
+ * @param {*} value
+ * @returns {boolean}
+ */
+function matches(spec, value) {
+  if (value === null) return Boolean(spec.nullable);
+  if (spec.oneOf) return spec.oneOf.some(option => matches(option, value));
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string' && value.length <= spec.max;
+    case 'number':
+      return Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return false;
+      if (!spec.fields) return true;
+      const { fields } = spec;
+      return Object.keys(value).every(key => Object.prototype.hasOwnProperty.call(fields, key))
+        && Object.keys(fields).every(key => (value[key] === undefined ? fields[key].optional : matches(fields[key], value[key])));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Records an event and reports whether the socket is within its rate limit
+ * for it.
+ *
+ * @param {string} socketId
+ * @param {string} event
+ * @param {number} now
+ * @returns {boolean}
+ */
+function withinRateLimit(socketId, event, now) {
+  const bySocket = recentEvents[socketId] || (recentEvents[socketId] = {});
+  const times = (bySocket[event] || []).filter(at => now - at < RATE_WINDOW_MS);
+  bySocket[event] = times;
+  if (times.length >= (RATE_LIMITS[event] || DEFAULT_RATE)) return false;
+  times.push(now);
+  return true;
+}
+
+/**
+ * The name an event is counted and logged under: its own for an event the
+ * server knows, UNKNOWN_EVENT for any other.
+ *
+ * @param {*} event
+ * @returns {string}
+ */
+function eventLabel(event) {
+  return Object.prototype.hasOwnProperty.call(SCHEMAS, event) ? event : UNKNOWN_EVENT;
+}
+
+/**
+ * Checks an incoming event.
+ *
+ * @param {string} socketId
+ * @param {string} event
+ * @param {Array} args – the event's arguments, with any acknowledgement
+ *   callback last
+ * @param {number} [now]
+ * @returns {string|null} the code to refuse it with, or null to let it through
+ */
+function check(socketId, event, args, now = Date.now()) {
+  const label = eventLabel(event);
+  if (!withinRateLimit(socketId, label, now)) return 'RATE_LIMITED';
+  if (label === UNKNOWN_EVENT) return 'INVALID_PAYLOAD';
+  const values = typeof args[args.length - 1] === 'function' ? args.slice(0, -1) : args;
+  const schema = SCHEMAS[event];
+  if (schema === null) return values.length === 0 ? null : 'INVALID_PAYLOAD';
+  return values.length === 1 && matches(schema, values[0]) ? null : 'INVALID_PAYLOAD';
+}
+
+/**
+ * Counts a refusal against a socket and reports whether it has now been
+ * refused too often to stay connected.
+ *
+ * @param {string} socketId
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function tooManyRefusals(socketId, now = Date.now()) {
+  const times = (recentRefusals[socketId] || []).filter(at => now - at < RATE_WINDOW_MS);
+  times.push(now);
+  recentRefusals[socketId] = times;
+  return times.length > MAX_REFUSALS;
+}
+
+/**
+ * Drops a disconnected socket's rate‑limit and refusal history.
+ *
+ * @param {string} socketId
+ */
+function forgetSocket(socketId) {
+  delete recentEvents[socketId];
+  delete recentRefusals[socketId];
+}
+
+module.exports = {
+  SCHEMAS,
+  check,
+  eventLabel,
+  tooManyRefusals,
+  forgetSocket
+};
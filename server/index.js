@@ -1,6 +1,9 @@
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const { PRESETS } = require('./rules');
+const { DEFAULT_SETTINGS } = require('./settings');
+const { shuffle } = require('./deal');
 
 /*
  * Chor–Dakat–Babu–Police game server
@@ -34,12 +37,8 @@ const io = new Server(server, {
 const PORT = process.env.PORT || 3000;
 
 // Points awarded for each role when assigned at the beginning of a round.
-const ROLE_POINTS = {
-  Babu: 1000,
-  Police: 500,
-  Dakat: 300,
-  Chor: 0
-};
+// These are the "traditional" rules shared with the main server.
+const ROLE_POINTS = PRESETS.traditional.points;
 
 // Store connected players.  Keys are socket IDs, values are objects with
 // properties: name, score (cumulative), role (current round), ready (joined)
@@ -50,7 +49,7 @@ let waitingQueue = [];
 // Current game state
 let gameInProgress = false;
 let currentRound = 0;
-const MAX_ROUNDS = 10;
+const MAX_ROUNDS = DEFAULT_SETTINGS.maxRounds;
 let currentPlayers = []; // array of socket IDs participating in the current game
 
 /**
@@ -59,8 +58,7 @@ let currentPlayers = []; // array of socket IDs participating in the current gam
  * ROLE_POINTS.
  */
 function assignRoles() {
-  const roles = ['Babu', 'Police', 'Dakat', 'Chor'];
-  const shuffled = roles.sort(() => 0.5 - Math.random());
+  const shuffled = shuffle(['Babu', 'Police', 'Dakat', 'Chor']);
   const assignments = {};
   currentPlayers.forEach((id, index) => {
     const role = shuffled[index];
@@ -169,7 +167,7 @@ function handleGuess(policeId, guessedId) {
         players[id].role = null;
       });
       startRound();
-    }, 4000);
+    }, DEFAULT_SETTINGS.advanceDelayMs);
   } else {
     // Game over
     gameInProgress = false;
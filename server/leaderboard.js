@@ -0,0 +1,96 @@
+/*
+ * Leaderboards built from the persisted player profiles (see profiles.js).
+ *
+ * A board ranks every player with results in a period by one metric:
+ *
+ *   wins           – games won
+ *   points         – points earned across all rounds
+ *   policeAccuracy – share of correct police guesses, for players who have
+ *                    made at least MIN_POLICE_GUESSES of them
+ *
+ * Ties follow the same rule as the end of a game: everyone sharing a value
+ * shares the rank, so several players can be first.
+ */
+
+const profiles = require('./profiles');
+
+const PERIODS = ['week', 'all'];
+const METRICS = ['wins', 'points', 'policeAccuracy'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Guesses needed before a player appears on the accuracy board, so a single
+// lucky guess does not top it.
+const MIN_POLICE_GUESSES = 5;
+
+// How each metric reads a player's statistics; null leaves them off the board.
+const METRIC_VALUES = {
+  wins: stats => (stats.gamesPlayed > 0 ? stats.gamesWon : null),
+  points: stats => (stats.roundsPlayed > 0 ? stats.totalPoints : null),
+  policeAccuracy: stats => {
+    const guesses = stats.police.Chor.guesses + stats.police.Dakat.guesses;
+    if (guesses < MIN_POLICE_GUESSES) return null;
+    return profiles.accuracy({ guesses, correct: stats.police.Chor.correct + stats.police.Dakat.correct });
+  }
+};
+
+/**
+ * Parses a positive integer query parameter.
+ *
+ * @param {*} value
+ * @param {number} fallback – used when the parameter is missing
+ * @returns {number|null} null if the value is present but not valid
+ */
+function positiveInt(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Builds one page of a leaderboard.
+ *
+ * @param {object} query – `{ period, metric, page, pageSize }`, as strings
+ *   straight from the request; period defaults to 'all', metric to 'wins'
+ * @returns {{ error: string }|object} the page, or the reason the query was
+ *   rejected ('invalidPeriod', 'invalidMetric' or 'invalidPage')
+ */
+function leaderboard(query = {}) {
+  const period = query.period || 'all';
+  const metric = query.metric || 'wins';
+  if (!PERIODS.includes(period)) return { error: 'invalidPeriod' };
+  if (!METRICS.includes(metric)) return { error: 'invalidMetric' };
+  const page = positiveInt(query.page, 1);
+  const pageSize = positiveInt(query.pageSize, DEFAULT_PAGE_SIZE);
+  if (page === null || pageSize === null || pageSize > MAX_PAGE_SIZE) return { error: 'invalidPage' };
+
+  const ranked = profiles.statsFor(period)
+    .map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      value: METRIC_VALUES[metric](entry.stats),
+      gamesPlayed: entry.stats.gamesPlayed
+    }))
+    .filter(entry => entry.value !== null)
+    .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+  // Shared values share a rank: 1, 1, 3, …
+  ranked.forEach((entry, i) => {
+    entry.rank = i > 0 && entry.value === ranked[i - 1].value ? ranked[i - 1].rank : i + 1;
+  });
+
+  const start = (page - 1) * pageSize;
+  return {
+    period,
+    metric,
+    page,
+    pageSize,
+    total: ranked.length,
+    entries: ranked.slice(start, start + pageSize)
+  };
+}
+
+module.exports = {
+  PERIODS,
+  METRICS,
+  MIN_POLICE_GUESSES,
+  leaderboard
+};
@@ -0,0 +1,112 @@
+/*
+ * Checks on the display names players choose.
+ *
+ * A name is cleaned before it is used anywhere: it is put in Unicode NFC
+ * form, invisible characters are dropped and runs of whitespace become one
+ * space.  The zero‑width joiner and non‑joiner are kept inside a name
+ * because Bengali uses them to pick conjunct forms, but not at its ends.
+ * Length is counted in grapheme clusters (what a reader sees as one
+ * character), so a Bengali letter with its vowel sign counts once.
+ *
+ * Names may contain letters, combining marks, digits, spaces and . ' - _
+ * and must not contain a blocked word.  The blocklist defaults to
+ * DEFAULT_BLOCKLIST and can be replaced with a comma‑separated list in the
+ * NAME_BLOCKLIST environment variable.  Two members of one table may not
+ * share a name, ignoring case.
+ */
+
+const MAX_LENGTH = 20;
+const DEFAULT_BLOCKLIST = [
+  'fuck', 'shit', 'bitch', 'bastard', 'asshole', 'cunt',
+  'শালা', 'হারামি', 'কুত্তা', 'বোকাচোদা'
+];
+const BLOCKLIST = (process.env.NAME_BLOCKLIST
+  ? process.env.NAME_BLOCKLIST.split(',')
+  : DEFAULT_BLOCKLIST
+).map(word => comparisonKey(word)).filter(Boolean);
+// How many alternatives to offer for a name that is taken.
+const SUGGESTIONS = 3;
+
+// Zero‑width non‑joiner and joiner at either end of a name.
+const EDGE_JOINERS = /^[\u200C\u200D]+|[\u200C\u200D]+$/g;
+// Control and format characters other than the two joiners.
+const INVISIBLE = /(?![\u200C\u200D])[\p{Cc}\p{Cf}]/gu;
+const ALLOWED = /^[\p{L}\p{M}\p{N} .'_\-\u200C\u200D]+$/u;
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+function graphemes(text) {
+  return Array.from(segmenter.segment(text), s => s.segment);
+}
+
+/**
+ * The form of a name used for comparisons: lower case with only its
+ * letters, marks and digits, so "Ra.him" and "rahim" compare equal.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function comparisonKey(name) {
+  return name.normalize('NFKC').toLocaleLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+}
+
+/**
+ * Cleans a requested name and checks it.
+ *
+ * @param {*} raw – the name as sent by the client
+ * @returns {{ name: string }|{ error: string }} the cleaned name, or why it
+ *   was refused: 'INVALID_NAME', 'NAME_TOO_LONG' or 'NAME_NOT_ALLOWED'
+ */
+function cleanName(raw) {
+  if (typeof raw !== 'string') return { error: 'INVALID_NAME' };
+  const name = raw
+    .normalize('NFC')
+    .replace(/\s+/gu, ' ')
+    .replace(INVISIBLE, '')
+    .trim()
+    .replace(EDGE_JOINERS, '')
+    .trim();
+  if (!name || !ALLOWED.test(name) || !comparisonKey(name)) return { error: 'INVALID_NAME' };
+  if (graphemes(name).length > MAX_LENGTH) return { error: 'NAME_TOO_LONG' };
+  const key = comparisonKey(name);
+  if (BLOCKLIST.some(word => key.includes(word))) return { error: 'NAME_NOT_ALLOWED' };
+  return { name };
+}
+
+/**
+ * Whether a name is already used by one of the given names, ignoring case
+ * and punctuation.
+ *
+ * @param {string} name
+ * @param {string[]} taken
+ * @returns {boolean}
+ */
+function isTaken(name, taken) {
+  const key = comparisonKey(name);
+  return taken.some(other => comparisonKey(other) === key);
+}
+
+/**
+ * Free alternatives to a taken name, made by numbering it ("Rahim 2").  The
+ * name is shortened if needed so every suggestion stays within MAX_LENGTH.
+ *
+ * @param {string} name – a cleaned name
+ * @param {string[]} taken – names already in use
+ * @returns {string[]}
+ */
+function suggestNames(name, taken) {
+  const suggestions = [];
+  for (let n = 2; suggestions.length < SUGGESTIONS; n++) {
+    const suffix = ` ${n}`;
+    const base = graphemes(name).slice(0, MAX_LENGTH - suffix.length).join('').trim();
+    const candidate = base + suffix;
+    if (!isTaken(candidate, taken)) suggestions.push(candidate);
+  }
+  return suggestions;
+}
+
+module.exports = {
+  MAX_LENGTH,
+  cleanName,
+  isTaken,
+  suggestNames
+};
@@ -0,0 +1,294 @@
+/*
+ * Persistent player profiles and lifetime statistics.
+ *
+ * Game scores only live as long as a game, but each browser also owns a
+ * profile that survives restarts of both the page and the server.  A
+ * profile is identified by a public `id` and claimed with a secret `key`
+ * the browser keeps in localStorage; only a hash of the key is stored.
+ *
+ * Profiles are kept in memory and written to a JSON file (PROFILE_STORE,
+ * default data/profiles.json) shortly after every change, so a burst of
+ * updates at the end of a round costs one write.  Every browser that joins
+ * is handed a profile, but only those that have played a round are
+ * written, so visitors who never play do not grow the file.
+ *
+ * Besides the lifetime totals, the store keeps a timestamped log of the
+ * last week's results so leaderboards can also rank the past seven days.
+ * Both are built by the same functions, so a week's statistics always
+ * match what the lifetime totals gained over that week.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_PATH = process.env.PROFILE_STORE || path.join(__dirname, '..', 'data', 'profiles.json');
+// Delay between a change and the write that persists it.
+const SAVE_DELAY_MS = 1000;
+const ROLES = ['Babu', 'Police', 'Chor', 'Dakat'];
+// How long results stay in the recent log.
+const RECENT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Profiles keyed by profile id, and profile ids keyed by key hash.
+let profiles = {};
+let idsByKey = {};
+// Recent results, oldest first: `{ at, profileId, round }` for a round and
+// `{ at, profileId, won }` for a finished game.
+let recent = [];
+let saveTimer = null;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Fresh lifetime statistics.
+ *
+ * @returns {object}
+ */
+function emptyStats() {
+  const roles = {};
+  ROLES.forEach(role => { roles[role] = 0; });
+  return {
+    gamesPlayed: 0,
+    gamesWon: 0,
+    roundsPlayed: 0,
+    totalPoints: 0,
+    // Rounds played in each role
+    roles,
+    // Police guesses and correct guesses, split by the role being hunted
+    police: {
+      Chor: { guesses: 0, correct: 0 },
+      Dakat: { guesses: 0, correct: 0 }
+    },
+    currentStreak: 0,
+    longestStreak: 0
+  };
+}
+
+/**
+ * Loads the store from disk.  A missing file starts an empty store; an
+ * unreadable one is reported and left untouched so it can be recovered.
+ */
+function load() {
+  profiles = {};
+  idsByKey = {};
+  recent = [];
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Could not read profiles from ${STORE_PATH}:`, err.message);
+    return;
+  }
+  Object.values(data.profiles || {}).forEach(profile => {
+    profile.stats = Object.assign(emptyStats(), profile.stats);
+    profiles[profile.id] = profile;
+    idsByKey[profile.keyHash] = profile.id;
+  });
+  recent = Array.isArray(data.recent) ? data.recent : [];
+}
+
+/**
+ * Whether a profile has anything worth keeping across restarts.
+ *
+ * @param {object} profile
+ * @returns {boolean}
+ */
+function hasPlayed(profile) {
+  return profile.stats.roundsPlayed > 0;
+}
+
+/**
+ * Writes the store to disk now, leaving out profiles that have not played a
+ * round.  The file is replaced atomically so a crash mid‑write never leaves
+ * it half written.
+ */
+function flush() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  const cutoff = Date.now() - RECENT_WINDOW_MS;
+  recent = recent.filter(entry => entry.at >= cutoff);
+  const saved = {};
+  Object.values(profiles).filter(hasPlayed).forEach(profile => { saved[profile.id] = profile; });
+  const tmp = `${STORE_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ profiles: saved, recent }, null, 2));
+  fs.renameSync(tmp, STORE_PATH);
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    try {
+      flush();
+    } catch (err) {
+      console.error(`Could not save profiles to ${STORE_PATH}:`, err.message);
+    }
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * Finds the profile belonging to a key, or creates a new one when the key is
+ * missing or unknown.  The profile's display name follows the latest name
+ * the player joined with.  A new profile is only saved once it has played
+ * a round.
+ *
+ * @param {string} [key] – secret profile key presented by the browser
+ * @param {string} name – the name the player joined with
+ * @returns {{ profile: object, key: string }} the profile and its key
+ */
+function claim(key, name) {
+  let profile = typeof key === 'string' && key ? profiles[idsByKey[hashKey(key)]] : undefined;
+  if (!profile) {
+    key = crypto.randomBytes(24).toString('hex');
+    profile = {
+      id: crypto.randomBytes(8).toString('hex'),
+      keyHash: hashKey(key),
+      name,
+      createdAt: Date.now(),
+      stats: emptyStats()
+    };
+    profiles[profile.id] = profile;
+    idsByKey[profile.keyHash] = profile.id;
+  }
+  profile.name = name;
+  if (hasPlayed(profile)) scheduleSave();
+  return { profile, key };
+}
+
+// Adds one resolved round to a statistics object.
+function applyRound(stats, { role, points, target, correct }) {
+  stats.roundsPlayed += 1;
+  stats.totalPoints += points;
+  stats.roles[role] += 1;
+  if (role === 'Police') {
+    stats.police[target].guesses += 1;
+    if (correct) stats.police[target].correct += 1;
+  }
+}
+
+// Adds one finished game to a statistics object.
+function applyGame(stats, won) {
+  stats.gamesPlayed += 1;
+  if (won) {
+    stats.gamesWon += 1;
+    stats.currentStreak += 1;
+    stats.longestStreak = Math.max(stats.longestStreak, stats.currentStreak);
+  } else {
+    stats.currentStreak = 0;
+  }
+}
+
+/**
+ * Records one resolved round for a player.
+ *
+ * @param {string} profileId
+ * @param {object} round
+ * @param {string} round.role – the role the player held
+ * @param {number} round.points – points the player earned this round
+ * @param {string} round.target – the role the police was hunting
+ * @param {boolean} round.correct – whether the police guessed right
+ */
+function recordRound(profileId, round) {
+  const profile = profiles[profileId];
+  if (!profile) return;
+  applyRound(profile.stats, round);
+  recent.push({ at: Date.now(), profileId, round });
+  scheduleSave();
+}
+
+/**
+ * Records a finished game for a player.  Games abandoned part way are not
+ * counted.
+ *
+ * @param {string} profileId
+ * @param {boolean} won – true if the player was among the winners
+ */
+function recordGame(profileId, won) {
+  const profile = profiles[profileId];
+  if (!profile) return;
+  applyGame(profile.stats, won);
+  recent.push({ at: Date.now(), profileId, won });
+  scheduleSave();
+}
+
+/**
+ * Statistics of every profile over a period: lifetime totals for 'all', or
+ * the results of the last seven days for 'week'.  The weekly list leaves
+ * out profiles without results in that time.
+ *
+ * @param {'all'|'week'} period
+ * @returns {Array<{ id: string, name: string, stats: object }>}
+ */
+function statsFor(period) {
+  if (period === 'all') {
+    return Object.values(profiles).map(profile => ({ id: profile.id, name: profile.name, stats: profile.stats }));
+  }
+  const cutoff = Date.now() - RECENT_WINDOW_MS;
+  const byProfile = {};
+  recent.forEach(entry => {
+    const profile = profiles[entry.profileId];
+    if (entry.at < cutoff || !profile) return;
+    if (!byProfile[profile.id]) {
+      byProfile[profile.id] = { id: profile.id, name: profile.name, stats: emptyStats() };
+    }
+    const { stats } = byProfile[profile.id];
+    if (entry.round) {
+      applyRound(stats, entry.round);
+    } else {
+      applyGame(stats, entry.won);
+    }
+  });
+  return Object.values(byProfile);
+}
+
+/**
+ * Share of correct guesses, or null when there were none to judge.
+ *
+ * @param {{ guesses: number, correct: number }} record
+ * @returns {number|null} a fraction between 0 and 1
+ */
+function accuracy(record) {
+  return record.guesses ? record.correct / record.guesses : null;
+}
+
+/**
+ * The public part of a profile: everything except the key hash, plus
+ * derived police accuracy.
+ *
+ * @param {string} profileId
+ * @returns {object|null}
+ */
+function publicProfile(profileId) {
+  const profile = profiles[profileId];
+  if (!profile) return null;
+  const { police } = profile.stats;
+  const overall = {
+    guesses: police.Chor.guesses + police.Dakat.guesses,
+    correct: police.Chor.correct + police.Dakat.correct
+  };
+  return {
+    id: profile.id,
+    name: profile.name,
+    createdAt: profile.createdAt,
+    stats: profile.stats,
+    policeAccuracy: {
+      overall: accuracy(overall),
+      Chor: accuracy(police.Chor),
+      Dakat: accuracy(police.Dakat)
+    }
+  };
+}
+
+module.exports = {
+  STORE_PATH,
+  load,
+  flush,
+  claim,
+  recordRound,
+  recordGame,
+  statsFor,
+  accuracy,
+  publicProfile
+};
@@ -0,0 +1,120 @@
+/*
+ * Rematch votes taken when a game ends.
+ *
+ * Once the final results are in, everyone seated is asked "Rematch?" and
+ * accepts or declines before the vote's deadline; bots accept straight
+ * away.  If all four accept, the same players are seated again, in the
+ * same seats, for a new game.  The vote fails as soon as anyone declines,
+ * or when time runs out with someone still undecided.  Then whoever
+ * declined, or let the time run out, leaves the table, and everyone else
+ * goes back to the table's queue.
+ *
+ * This module only counts votes.  The deadline's timer, seating and
+ * sockets are handled in server.js.
+ *
+ * A vote:
+ *
+ *   deadline – when undecided players count as declining (ms timestamp)
+ *   seats    – the seated player ids, in seating order
+ *   votes    – true (accepted), false (declined) or null (undecided) by
+ *              player id
+ */
+
+/**
+ * Opens a vote among a table's seated players.
+ *
+ * @param {string[]} seats – the seated player ids, in seating order
+ * @param {string[]} botIds – seated bots, which accept at once
+ * @param {number} deadline – ms timestamp
+ * @returns {object}
+ */
+function createVote(seats, botIds, deadline) {
+  const votes = {};
+  seats.forEach(id => { votes[id] = botIds.includes(id) ? true : null; });
+  return { deadline, seats: seats.slice(), votes };
+}
+
+/**
+ * Records a player's answer.  Each player answers once.
+ *
+ * @param {object} vote
+ * @param {string} playerId
+ * @param {boolean} accept
+ * @returns {string|null} an acknowledgement code (see acks.js) when the
+ *   answer is refused, or null
+ */
+function castVote(vote, playerId, accept) {
+  if (!vote.seats.includes(playerId)) return 'NOT_SEATED';
+  if (vote.votes[playerId] !== null) return 'ALREADY_VOTED';
+  vote.votes[playerId] = accept;
+  return null;
+}
+
+/**
+ * How the vote has gone so far.
+ *
+ * @param {object} vote
+ * @returns {string|null} 'accepted' once everyone has accepted, 'declined'
+ *   once anyone has declined, or null while it is still open
+ */
+function outcome(vote) {
+  const answers = vote.seats.map(id => vote.votes[id]);
+  if (answers.includes(false)) return 'declined';
+  return answers.every(answer => answer === true) ? 'accepted' : null;
+}
+
+/**
+ * Counts a player as declining whatever they answered, for a player who
+ * left the table while the vote was open.
+ *
+ * @param {object} vote
+ * @param {string} playerId
+ */
+function withdraw(vote, playerId) {
+  if (vote.seats.includes(playerId)) vote.votes[playerId] = false;
+}
+
+/**
+ * Closes a vote at its deadline: everyone still undecided declines.
+ *
+ * @param {object} vote
+ */
+function expire(vote) {
+  vote.seats.forEach(id => {
+    if (vote.votes[id] === null) vote.votes[id] = false;
+  });
+}
+
+/**
+ * The players who declined, in seating order.
+ *
+ * @param {object} vote
+ * @returns {string[]}
+ */
+function declinedIds(vote) {
+  return vote.seats.filter(id => vote.votes[id] === false);
+}
+
+/**
+ * The vote as everyone at the table may see it.
+ *
+ * @param {object} vote
+ * @param {Object<string, string>} names – display names by player id
+ * @returns {{ deadline: number, votes: Array<{ id: string, name: string, vote: boolean|null }> }}
+ */
+function voteView(vote, names) {
+  return {
+    deadline: vote.deadline,
+    votes: vote.seats.map(id => ({ id, name: names[id], vote: vote.votes[id] }))
+  };
+}
+
+module.exports = {
+  createVote,
+  castVote,
+  outcome,
+  withdraw,
+  expire,
+  declinedIds,
+  voteView
+};
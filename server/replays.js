@@ -0,0 +1,181 @@
+/*
+ * Event logs of finished games, for download and replay.
+ *
+ * While a game runs the server appends events to the room's log:
+ *
+ *   { type: 'deal',   at, round, roles, seedHash }
+ *   { type: 'guess',  at, round, policeId, guessedId, target, correct,
+ *                     timedOut, seed }
+ *   { type: 'result', at, round, gains, scores }
+ *   { type: 'end',    at, winners, gameSeed, seedNonce }
+ *
+ * and, when the table changes during a game,
+ *
+ *   { type: 'cancel',     at, round }     the round is dealt again
+ *   { type: 'substitute', at, round, leftId, joinedId }
+ *   { type: 'host',       at, round, action, hostId, targetId }
+ *
+ * and, at a tournament table whose game ended level on a qualifying place,
+ *
+ *   { type: 'tieBreak',   at, round, tiedIds }   another round is played
+ *
+ * `roles`, `gains` and `scores` map player ids to values; `players` on the
+ * log lists everyone who held a seat, with their names and, in a team
+ * game, their team number (see teams.js).  When the game ends the log is
+ * written to its own JSON file under REPLAY_DIR (default data/games) and
+ * can be fetched again by its id.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, '..', 'data', 'games');
+// Game ids are random hex, which also keeps them safe to use as file names.
+const ID_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * Starts the log of a new game.
+ *
+ * @param {object} room
+ * @param {Array<{ id: string, name: string, bot: boolean }>} seated – the players dealt in
+ * @returns {object}
+ */
+function createLog(room, seated) {
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    room: room.code,
+    startedAt: Date.now(),
+    endedAt: null,
+    rules: room.rules,
+    settings: room.settings,
+    players: seated,
+    events: []
+  };
+}
+
+/**
+ * Appends an event stamped with the current time.
+ *
+ * @param {object|null} log – the room's log; ignored when null
+ * @param {object} event
+ */
+function addEvent(log, event) {
+  if (!log) return;
+  log.events.push(Object.assign({ at: Date.now() }, event));
+}
+
+/**
+ * Writes a finished game's log to disk.  It is written to a temporary file
+ * first and then renamed, so a crash mid‑write never leaves a truncated
+ * log behind.  Failures are reported but do not affect the game.
+ *
+ * @param {object} log
+ */
+function saveLog(log) {
+  log.endedAt = Date.now();
+  const file = path.join(REPLAY_DIR, `${log.id}.json`);
+  const tmp = `${file}.tmp`;
+  const report = err => console.error(`Could not save game ${log.id}:`, err.message);
+  fs.mkdir(REPLAY_DIR, { recursive: true }, err => {
+    if (err) {
+      report(err);
+      return;
+    }
+    fs.writeFile(tmp, JSON.stringify(log), writeErr => {
+      if (writeErr) {
+        report(writeErr);
+        return;
+      }
+      fs.rename(tmp, file, renameErr => {
+        if (renameErr) report(renameErr);
+      });
+    });
+  });
+}
+
+/**
+ * Reads a saved game's log.
+ *
+ * @param {string} id
+ * @param {function(Error|null, object=)} callback – called with null and
+ *   undefined when there is no such game, and with an error when the file
+ *   cannot be read or is not valid JSON
+ */
+function loadLog(id, callback) {
+  if (!ID_PATTERN.test(id)) {
+    callback(null, undefined);
+    return;
+  }
+  fs.readFile(path.join(REPLAY_DIR, `${id}.json`), 'utf8', (err, text) => {
+    if (err && err.code === 'ENOENT') {
+      callback(null, undefined);
+    } else if (err) {
+      callback(err);
+    } else {
+      let log;
+      try {
+        log = JSON.parse(text);
+      } catch (parseErr) {
+        callback(parseErr);
+        return;
+      }
+      callback(null, log);
+    }
+  });
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flattens a game log into CSV with one row per player per round.
+ *
+ * @param {object} log
+ * @returns {string}
+ */
+function toCsv(log) {
+  const names = {};
+  log.players.forEach(p => { names[p.id] = p.name; });
+  const rows = [['game', 'round', 'player', 'role', 'target', 'accused', 'correct', 'timed_out',
+    'points', 'total', 'dealt_at', 'guessed_at']];
+  const rounds = {};
+  log.events.forEach(event => {
+    if (event.round === undefined) return;
+    rounds[event.round] = rounds[event.round] || {};
+    rounds[event.round][event.type] = event;
+  });
+  Object.keys(rounds).map(Number).sort((a, b) => a - b).forEach(round => {
+    const { deal, guess, result } = rounds[round];
+    if (!deal || !guess || !result) return;
+    // Only the players dealt into this round
+    log.players.filter(p => p.id in deal.roles).forEach(p => {
+      rows.push([
+        log.id,
+        round,
+        p.name,
+        deal.roles[p.id],
+        guess.target,
+        names[guess.guessedId],
+        guess.correct,
+        guess.timedOut,
+        result.gains[p.id],
+        result.scores[p.id],
+        new Date(deal.at).toISOString(),
+        new Date(guess.at).toISOString()
+      ]);
+    });
+  });
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  REPLAY_DIR,
+  createLog,
+  addEvent,
+  saveLog,
+  loadLog,
+  toCsv
+};
@@ -0,0 +1,257 @@
+/*
+ * Room registry for the Chor–Dakat–Babu–Police server.
+ *
+ * Every room is an independent four‑seat table with its own game state, so
+ * several games can run side by side on one server.  Rooms are addressed by
+ * a short join code that players can read out to each other.  Public rooms
+ * are listed in the lobby; private ones are reached only through their code
+ * (an invite link), and either kind may require a password.  The registry
+ * only stores state; game flow is driven from server.js through the state
+ * machine in game.js.
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_SETTINGS, publicSettings } = require('./settings');
+const game = require('./game');
+
+// Number of seats at every table.
+const SEATS = 4;
+// Letters used for join codes.  I and O are left out so codes can be read
+// aloud without being confused with 1 and 0.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 64;
+
+// Active rooms keyed by their join code.
+const rooms = {};
+
+/**
+ * Generates a code of CODE_ALPHABET letters that is not already in use.
+ * Tournaments take their codes from here too (see tournaments.js).
+ *
+ * @param {number} length – letters in the code
+ * @param {function(string): boolean} inUse – whether a code is taken
+ * @returns {string}
+ */
+function generateCode(length, inUse) {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < length; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+  } while (inUse(code));
+  return code;
+}
+
+/**
+ * Hashes a room password with a fresh salt.
+ *
+ * @param {string} password
+ * @param {string} [salt]
+ * @returns {{ salt: string, hash: string }}
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return { salt, hash: crypto.createHash('sha256').update(`${salt}:${password}`).digest('hex') };
+}
+
+/**
+ * Whether a password is acceptable for a new room: a string of at most
+ * MAX_PASSWORD_LENGTH characters (empty means no password).
+ *
+ * @param {*} password
+ * @returns {boolean}
+ */
+function isValidPassword(password) {
+  return password === undefined || (typeof password === 'string' && password.length <= MAX_PASSWORD_LENGTH);
+}
+
+/**
+ * Whether a password lets someone into a room.  Rooms without a password
+ * accept anything.
+ *
+ * @param {object} room
+ * @param {*} password
+ * @returns {boolean}
+ */
+function checkPassword(room, password) {
+  if (!room.password) return true;
+  if (typeof password !== 'string') return false;
+  const given = Buffer.from(hashPassword(password, room.password.salt).hash, 'hex');
+  return crypto.timingSafeEqual(given, Buffer.from(room.password.hash, 'hex'));
+}
+
+/**
+ * Creates a new room with an empty game state and registers it.
+ *
+ * @param {string} [name] – optional display name for the lobby
+ * @param {object} rules – scoring rules chosen by the host (see rules.js)
+ * @param {object} [access]
+ * @param {boolean} [access.private] – keep the room out of the lobby list
+ * @param {string} [access.password] – required to join when not empty
+ * @returns {object} the new room
+ */
+function createRoom(name, rules, access = {}) {
+  const code = generateCode(CODE_LENGTH, taken => Boolean(rooms[taken]));
+  const room = {
+    code,
+    name: name || code,
+    rules,
+    private: Boolean(access.private),
+    // Salted hash of the join password, or null for an open room.
+    password: access.password ? hashPassword(access.password) : null,
+    // Game settings the host may change until the first round is dealt
+    // (see settings.js).
+    settings: Object.assign({}, DEFAULT_SETTINGS),
+    // Player id of the member allowed to change settings and to kick,
+    // pause and hand the role on (the creator, then the longest present).
+    hostId: null,
+    // Members who are in the room but not seated at the table, in join order.
+    waiting: [],
+    // Seated players (exactly four ids while a game is running).
+    currentPlayers: [],
+    // Phase, round number and paused flags of the table's game (see game.js).
+    game: game.createGame(),
+    // When the police's guess time runs out (ms timestamp), or null.
+    turnDeadline: null,
+    // The rematch vote open after the game ended (see rematch.js), or null.
+    rematch: null,
+    // Seed the round in progress was dealt from; kept secret until the
+    // result is announced (see deal.js).
+    dealSeed: null,
+    // Secret mixed into a seeded game's round seeds; kept until the game
+    // is over (see deal.js).
+    seedNonce: null,
+    history: [],
+    // Team number by seated player id in a team game (see teams.js), or
+    // null.
+    teams: null,
+    // Event log of the game in progress (see replays.js), or null.
+    gameLog: null,
+    // Recent chat messages (see chat.js), kept across games in this room.
+    chat: [],
+    // Profile ids of people the host kicked; they may not join again.
+    kicked: [],
+    // Code of the tournament this table is part of (see tournaments.js), or
+    // null for an ordinary table.
+    tournament: null
+  };
+  rooms[code] = room;
+  return room;
+}
+
+/**
+ * Looks up a room by join code.  Codes are matched case‑insensitively.
+ *
+ * @param {string} code
+ * @returns {object|undefined}
+ */
+function getRoom(code) {
+  if (!code || typeof code !== 'string') return undefined;
+  return rooms[code.trim().toUpperCase()];
+}
+
+/**
+ * Removes a room from the registry.
+ *
+ * @param {string} code
+ */
+function removeRoom(code) {
+  delete rooms[code];
+}
+
+/**
+ * Returns every member id of a room, seated players first.
+ *
+ * @param {object} room
+ * @returns {string[]}
+ */
+function members(room) {
+  return room.currentPlayers.concat(room.waiting);
+}
+
+/**
+ * Number of seats still free at a room's table.  Once a game is running the
+ * table is full and newcomers queue in the room's waiting list.
+ *
+ * @param {object} room
+ * @returns {number}
+ */
+function seatsLeft(room) {
+  const taken = game.isStarted(room.game) ? room.currentPlayers.length : room.waiting.length;
+  return Math.max(0, SEATS - taken);
+}
+
+/**
+ * Every room, public or private.
+ *
+ * @returns {object[]}
+ */
+function allRooms() {
+  return Object.values(rooms);
+}
+
+/**
+ * Builds the public lobby summary of all public rooms.  Private rooms are
+ * left out so only people with the code can find them.
+ *
+ * @returns {Array<{ code: string, name: string, rules: object, players: number, seatsLeft: number, inProgress: boolean, locked: boolean }>}
+ */
+function listRooms() {
+  return Object.values(rooms).filter(room => !room.private).map(room => ({
+    code: room.code,
+    name: room.name,
+    rules: room.rules,
+    players: members(room).length,
+    seatsLeft: seatsLeft(room),
+    inProgress: game.isStarted(room.game),
+    // A password is needed to join
+    locked: Boolean(room.password)
+  }));
+}
+
+/**
+ * What members are told about a room when they enter it.
+ *
+ * @param {object} room
+ * @returns {{ code: string, name: string, rules: object, settings: object, hostId: string|null, private: boolean, locked: boolean, tournament: string|null }}
+ */
+function describeRoom(room) {
+  return {
+    code: room.code,
+    name: room.name,
+    rules: room.rules,
+    settings: publicSettings(room.settings),
+    hostId: room.hostId,
+    private: room.private,
+    locked: Boolean(room.password),
+    tournament: room.tournament
+  };
+}
+
+/**
+ * Name of the Socket.IO channel reaching only the seated players of a room.
+ * The room code itself is used as the channel for every member.
+ *
+ * @param {object} room
+ * @returns {string}
+ */
+function seatChannel(room) {
+  return `${room.code}:seats`;
+}
+
+module.exports = {
+  SEATS,
+  generateCode,
+  createRoom,
+  isValidPassword,
+  checkPassword,
+  getRoom,
+  removeRoom,
+  members,
+  seatsLeft,
+  allRooms,
+  listRooms,
+  describeRoom,
+  seatChannel
+};
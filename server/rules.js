@@ -0,0 +1,137 @@
+/*
+ * Scoring rules for Chor–Dakat–Babu–Police.
+ *
+ * Families play this game with different point tables and guessing rules,
+ * so the scoring is described by a small rules object instead of being
+ * hard‑coded in the server:
+ *
+ *   points          – points for each role
+ *   target          – 'Chor' or 'Dakat' for a fixed target, or 'alternating'
+ *                     to hunt the Chor on odd rounds and the Dakat on even
+ *   transferOnWrong – when the police guesses wrong, their points go to the
+ *                     wrongly accused player
+ *
+ * Every round is scored the same way: the Babu always collects their
+ * points; the police collects theirs only on a correct guess; the role
+ * being hunted loses its points when caught; the other suspect always keeps
+ * theirs.  The two presets reproduce the variants this project started
+ * with.
+ */
+
+const ROLES = ['Babu', 'Police', 'Chor', 'Dakat'];
+const TARGETS = ['Chor', 'Dakat', 'alternating'];
+// Upper bound for a single role's points in a custom table.
+const MAX_ROLE_POINTS = 10000;
+
+// Named rule sets a host can pick when creating a table.
+const PRESETS = {
+  // Police hunts the Chor on odd rounds and the Dakat on even rounds.
+  classic: {
+    preset: 'classic',
+    points: { Babu: 900, Police: 800, Chor: 400, Dakat: 600 },
+    target: 'alternating',
+    transferOnWrong: false
+  },
+  // Police always hunts the Chor; a wrong guess hands the police's points
+  // to the accused.
+  traditional: {
+    preset: 'traditional',
+    points: { Babu: 1000, Police: 500, Chor: 0, Dakat: 300 },
+    target: 'Chor',
+    transferOnWrong: true
+  }
+};
+
+const DEFAULT_PRESET = 'classic';
+
+/**
+ * Builds a validated rules object from a host's choice.  Accepts a preset
+ * name, or `preset: 'custom'` with a full point table, a target and the
+ * transfer flag.  Missing options select the default preset.
+ *
+ * @param {object} [options]
+ * @returns {object|null} the rules, or null if the options are invalid
+ */
+function buildRules(options) {
+  const presetName = (options && options.preset) || DEFAULT_PRESET;
+  if (PRESETS[presetName]) {
+    const preset = PRESETS[presetName];
+    return Object.assign({}, preset, { points: Object.assign({}, preset.points) });
+  }
+  if (presetName !== 'custom') return null;
+  const { points, target, transferOnWrong } = options;
+  if (!points || typeof points !== 'object') return null;
+  const table = {};
+  for (const role of ROLES) {
+    const value = points[role];
+    if (!Number.isInteger(value) || value < 0 || value > MAX_ROLE_POINTS) return null;
+    table[role] = value;
+  }
+  if (!TARGETS.includes(target) || typeof transferOnWrong !== 'boolean') return null;
+  return { preset: 'custom', points: table, target, transferOnWrong };
+}
+
+/**
+ * The role the police must find in a given round.
+ *
+ * @param {object} rules
+ * @param {number} round – 1‑based round number
+ * @returns {'Chor'|'Dakat'}
+ */
+function guessTarget(rules, round) {
+  if (rules.target === 'alternating') {
+    return (round % 2 === 1) ? 'Chor' : 'Dakat';
+  }
+  return rules.target;
+}
+
+/**
+ * Scores a resolved round.
+ *
+ * @param {object} rules
+ * @param {object} round
+ * @param {Object<string, string>} round.roles – player id → role
+ * @param {string} round.target – the role the police was hunting
+ * @param {string} round.policeId – player id of the police
+ * @param {string} round.guessedId – player id the police accused
+ * @returns {{ correct: boolean, gains: Object<string, number> }} points
+ *   earned by each player this round, including the Babu's
+ */
+function scoreRound(rules, { roles, target, policeId, guessedId }) {
+  const correct = roles[guessedId] === target;
+  const gains = {};
+  Object.keys(roles).forEach(id => {
+    const role = roles[id];
+    if (role === 'Police') {
+      gains[id] = correct ? rules.points.Police : 0;
+    } else if (role === target) {
+      gains[id] = correct ? 0 : rules.points[role];
+    } else {
+      gains[id] = rules.points[role];
+    }
+  });
+  if (!correct && rules.transferOnWrong) {
+    gains[guessedId] += rules.points.Police;
+  }
+  return { correct, gains };
+}
+
+/**
+ * Lists the presets for clients building a rules picker.
+ *
+ * @returns {object[]}
+ */
+function listPresets() {
+  return Object.values(PRESETS);
+}
+
+module.exports = {
+  ROLES,
+  TARGETS,
+  PRESETS,
+  DEFAULT_PRESET,
+  buildRules,
+  guessTarget,
+  scoreRound,
+  listPresets
+};
@@ -0,0 +1,152 @@
+/*
+ * Per‑table game settings chosen by the host before the first round.
+ *
+ *   mode            – 'rounds' to play a fixed number of rounds, or
+ *                     'points' to play until someone reaches targetScore
+ *   maxRounds       – number of rounds in 'rounds' mode
+ *   targetScore     – score that ends the game in 'points' mode
+ *   autoAdvance     – deal the next round automatically instead of waiting
+ *                     for someone to press shuffle
+ *   advanceDelayMs  – pause between a round's result and the next deal when
+ *                     autoAdvance is on
+ *   resultDisplayMs – how long clients show the round result overlay
+ *   guessTimeoutMs  – how long the police has to guess; 0 means no limit
+ *   timeoutOutcome  – what happens when the police runs out of time:
+ *                     'random' guesses one of the suspects at random,
+ *                     'wrong' counts it as a wrong guess
+ *   muteChatWhileGuessing – block table chat while the police is deciding
+ *   teams           – play as two teams of two that pool their points
+ *                     (see teams.js)
+ *   substituteScore – the score of someone who takes over a departed
+ *                     player's seat mid‑game: 'zero' starts them from
+ *                     nothing, 'inherit' carries on with the departed
+ *                     player's score
+ *   seed            – optional text that fixes every deal of the game, so a
+ *                     game can be replayed; null deals from fresh randomness.
+ *                     Anyone who knows it can work out the roles, so it stays
+ *                     on the server until the game is over; clients are sent
+ *                     publicSettings() instead.
+ *
+ * Settings arriving from a client are validated here; the server never
+ * stores values it has not checked.
+ */
+
+const MODES = ['rounds', 'points'];
+const TIMEOUT_OUTCOMES = ['random', 'wrong'];
+const SUBSTITUTE_SCORES = ['zero', 'inherit'];
+// Shortest guess time limit that can be set, so a limit is never unplayable.
+const MIN_GUESS_TIMEOUT_MS = 5000;
+
+const DEFAULT_SETTINGS = {
+  mode: 'rounds',
+  maxRounds: 10,
+  targetScore: 10000,
+  autoAdvance: false,
+  advanceDelayMs: 4000,
+  resultDisplayMs: 1500,
+  guessTimeoutMs: 60000,
+  timeoutOutcome: 'random',
+  muteChatWhileGuessing: false,
+  teams: false,
+  substituteScore: 'zero',
+  seed: null
+};
+
+// Inclusive [min, max] bounds for each numeric setting.
+const LIMITS = {
+  maxRounds: [1, 50],
+  targetScore: [1000, 100000],
+  advanceDelayMs: [1000, 30000],
+  resultDisplayMs: [500, 10000],
+  guessTimeoutMs: [0, 300000]
+};
+// On/off settings.
+const FLAGS = ['autoAdvance', 'muteChatWhileGuessing', 'teams'];
+// Longest game seed accepted, in characters.
+const MAX_SEED_LENGTH = 64;
+
+/**
+ * Builds validated settings from a host's request.  Options that are left
+ * out keep their current value.
+ *
+ * @param {object} options – requested changes
+ * @param {object} [current] – the table's current settings
+ * @returns {object|null} the new settings, or null if any value is invalid
+ */
+function buildSettings(options, current = DEFAULT_SETTINGS) {
+  if (!options || typeof options !== 'object') return null;
+  const settings = Object.assign({}, current);
+  if (options.mode !== undefined) {
+    if (!MODES.includes(options.mode)) return null;
+    settings.mode = options.mode;
+  }
+  for (const key of Object.keys(LIMITS)) {
+    if (options[key] === undefined) continue;
+    const [min, max] = LIMITS[key];
+    if (!Number.isInteger(options[key]) || options[key] < min || options[key] > max) return null;
+    settings[key] = options[key];
+  }
+  if (settings.guessTimeoutMs > 0 && settings.guessTimeoutMs < MIN_GUESS_TIMEOUT_MS) return null;
+  if (options.timeoutOutcome !== undefined) {
+    if (!TIMEOUT_OUTCOMES.includes(options.timeoutOutcome)) return null;
+    settings.timeoutOutcome = options.timeoutOutcome;
+  }
+  if (options.substituteScore !== undefined) {
+    if (!SUBSTITUTE_SCORES.includes(options.substituteScore)) return null;
+    settings.substituteScore = options.substituteScore;
+  }
+  for (const key of FLAGS) {
+    if (options[key] === undefined) continue;
+    if (typeof options[key] !== 'boolean') return null;
+    settings[key] = options[key];
+  }
+  if (options.seed !== undefined) {
+    // An empty seed switches seeding off
+    if (options.seed !== null && typeof options.seed !== 'string') return null;
+    const seed = options.seed === null ? '' : options.seed.trim();
+    if (seed.length > MAX_SEED_LENGTH) return null;
+    settings.seed = seed || null;
+  }
+  // The next deal must not cut the previous result short
+  if (settings.autoAdvance && settings.advanceDelayMs < settings.resultDisplayMs) return null;
+  return settings;
+}
+
+/**
+ * Whether a game has reached its end after a resolved round.
+ *
+ * @param {object} settings
+ * @param {number} round – number of rounds played so far
+ * @param {number[]} scores – cumulative scores of the table, or of its
+ *   teams in a team game
+ * @returns {boolean}
+ */
+function isFinished(settings, round, scores) {
+  if (settings.mode === 'points') {
+    return round > 0 && Math.max(...scores) >= settings.targetScore;
+  }
+  return round >= settings.maxRounds;
+}
+
+/**
+ * Settings as clients may see them: the seed is replaced by whether there
+ * is one.
+ *
+ * @param {object} settings
+ * @returns {object}
+ */
+function publicSettings(settings) {
+  const { seed, ...rest } = settings;
+  return Object.assign(rest, { seeded: Boolean(seed) });
+}
+
+module.exports = {
+  MODES,
+  TIMEOUT_OUTCOMES,
+  SUBSTITUTE_SCORES,
+  DEFAULT_SETTINGS,
+  LIMITS,
+  buildSettings,
+  publicSettings,
+  isFinished
+};
@@ -0,0 +1,87 @@
+/*
+ * Partnerships for the team variant of the game.
+ *
+ * With a table's `teams` setting on, its four seats form two teams of two.
+ * Partners pool their points: a team's score is the sum of its members',
+ * a 'points' game ends when a team reaches the target, and the team with
+ * the highest total wins.  Partners may also see each other's role while
+ * a round is played (see views.js).
+ *
+ * Members pick a team in the waiting room.  When the table is seated those
+ * choices are honoured in seating order as long as the team has room;
+ * anyone left over fills the free places.  A game's teams map player ids
+ * to team numbers (0 and 1).
+ */
+
+const TEAMS = 2;
+const TEAM_SIZE = 2;
+
+/**
+ * Whether a value names a team.
+ *
+ * @param {*} team
+ * @returns {boolean}
+ */
+function isValidTeam(team) {
+  return Number.isInteger(team) && team >= 0 && team < TEAMS;
+}
+
+/**
+ * Splits seated players into teams.
+ *
+ * @param {string[]} ids – the seated players, in seating order
+ * @param {function(string): *} preferenceOf – the team a player asked for,
+ *   or anything else for no preference
+ * @returns {Object<string, number>} team number by player id
+ */
+function assignTeams(ids, preferenceOf) {
+  const teams = {};
+  const sizes = new Array(TEAMS).fill(0);
+  const join = (id, team) => {
+    teams[id] = team;
+    sizes[team]++;
+  };
+  ids.forEach(id => {
+    const wanted = preferenceOf(id);
+    if (isValidTeam(wanted) && sizes[wanted] < TEAM_SIZE) join(id, wanted);
+  });
+  ids.filter(id => !(id in teams)).forEach(id => {
+    join(id, sizes.findIndex(size => size < TEAM_SIZE));
+  });
+  return teams;
+}
+
+/**
+ * Each team's pooled score.
+ *
+ * @param {Object<string, number>} teams – team number by player id
+ * @param {Object<string, number>} scores – score by player id
+ * @returns {number[]} totals indexed by team number
+ */
+function teamTotals(teams, scores) {
+  const totals = new Array(TEAMS).fill(0);
+  Object.keys(teams).forEach(id => { totals[teams[id]] += scores[id] || 0; });
+  return totals;
+}
+
+/**
+ * The team(s) with the highest pooled score.
+ *
+ * @param {Object<string, number>} teams
+ * @param {Object<string, number>} scores
+ * @returns {number[]} team numbers
+ */
+function winningTeams(teams, scores) {
+  const totals = teamTotals(teams, scores);
+  const highest = Math.max(...totals);
+  return totals.map((total, team) => (total === highest ? team : -1)).filter(team => team >= 0);
+}
+
+module.exports = {
+  TEAMS,
+  TEAM_SIZE,
+  isValidTeam,
+  assignTeams,
+  teamTotals,
+  winningTeams
+};
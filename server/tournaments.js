@@ -0,0 +1,332 @@
+/*
+ * Knockout tournaments played over several tables at once.
+ *
+ * Players sign up for a tournament from the lobby.  When the organizer
+ * starts it, the entrants are shuffled into tables of four, every table
+ * plays one game, and the top `advance` players of each table (one or two,
+ * chosen by the organizer) go through to the next stage.  Each table of a
+ * later stage is fed by the same neighbouring tables of the stage before,
+ * which is what the bracket shows.  The stage with a single table is the
+ * final and its winner is the champion.
+ *
+ * A table whose game ends with a tie across the qualifying places (two
+ * players level for the last place through, or for the title in the final)
+ * plays on one round at a time until the tie is broken; see rankTable().
+ *
+ * This module only keeps the bracket.  Rooms, players and sockets are
+ * handled in server.js; a tournament's tables are ordinary rooms marked
+ * with the tournament's code.
+ *
+ * A tournament:
+ *
+ *   code        – join code, five letters so it is never mistaken for a table
+ *   name
+ *   organizerId – player id of whoever may start it
+ *   advance     – players going through from each table before the final
+ *   rules, settings – used at every table (see rules.js and settings.js)
+ *   status      – 'registering', 'running' or 'finished'
+ *   entrants    – player ids signed up, in sign‑up order
+ *   stages      – one list of tables per stage played so far; a table is
+ *                 { room, seats, names, scores, qualifiers, tieBreak }
+ *   champions   – ids of the final's winner, once finished
+ */
+
+const { shuffle } = require('./deal');
+const rooms = require('./rooms');
+
+const TABLE_SIZE = 4;
+// Players going through from each table; the organizer picks one of these.
+const ADVANCE_OPTIONS = [1, 2];
+// Letters in a tournament's code; tables' codes have four.
+const CODE_LENGTH = 5;
+// Largest field a tournament may have.
+const MAX_ENTRANTS = 64;
+const MAX_NAME_LENGTH = 40;
+
+// Tournaments keyed by code.
+const tournaments = {};
+
+/**
+ * Creates and registers a tournament.  The organizer is its first entrant.
+ *
+ * @param {object} options
+ * @param {string} [options.name]
+ * @param {string} options.organizerId
+ * @param {number} options.advance – one of ADVANCE_OPTIONS
+ * @param {object} options.rules
+ * @param {object} options.settings
+ * @returns {object}
+ */
+function createTournament({ name, organizerId, advance, rules, settings }) {
+  const code = rooms.generateCode(CODE_LENGTH, taken => Boolean(tournaments[taken]));
+  const tournament = {
+    code,
+    name: (name || '').slice(0, MAX_NAME_LENGTH) || code,
+    organizerId,
+    advance,
+    rules,
+    settings,
+    status: 'registering',
+    entrants: [organizerId],
+    stages: [],
+    champions: []
+  };
+  tournaments[code] = tournament;
+  return tournament;
+}
+
+/**
+ * Looks up a tournament by code, ignoring case.
+ *
+ * @param {string} code
+ * @returns {object|undefined}
+ */
+function getTournament(code) {
+  if (!code || typeof code !== 'string') return undefined;
+  return tournaments[code.trim().toUpperCase()];
+}
+
+function removeTournament(code) {
+  delete tournaments[code];
+}
+
+/**
+ * The tournament a room's table belongs to, if any.
+ *
+ * @param {object} room
+ * @returns {object|undefined}
+ */
+function ofRoom(room) {
+  return room.tournament ? tournaments[room.tournament] : undefined;
+}
+
+/**
+ * Number of players at each stage for a field, ending with the final's
+ * four, or null when the field cannot be split into full tables all the
+ * way down.  With one player advancing per table a field must be 4, 16 or
+ * 64; with two it must be 4, 8, 16, 32 or 64.
+ *
+ * @param {number} entrants
+ * @param {number} advance
+ * @returns {number[]|null}
+ */
+function stageSizes(entrants, advance) {
+  const sizes = [];
+  let size = entrants;
+  while (size > TABLE_SIZE) {
+    if (size % TABLE_SIZE !== 0) return null;
+    sizes.push(size);
+    size = (size / TABLE_SIZE) * advance;
+  }
+  if (size !== TABLE_SIZE) return null;
+  sizes.push(size);
+  return sizes;
+}
+
+/**
+ * Whether the tournament's current stage is its final.
+ *
+ * @param {object} tournament
+ * @returns {boolean}
+ */
+function isFinal(tournament) {
+  const stage = currentStage(tournament);
+  return Boolean(stage) && stage.length === 1;
+}
+
+/**
+ * The tables of the stage being played (or last played).
+ *
+ * @param {object} tournament
+ * @returns {object[]|undefined}
+ */
+function currentStage(tournament) {
+  return tournament.stages[tournament.stages.length - 1];
+}
+
+/**
+ * How many players go through from a table of the current stage: the
+ * tournament's `advance`, or just the champion in the final.
+ *
+ * @param {object} tournament
+ * @returns {number}
+ */
+function placesAt(tournament) {
+  return isFinal(tournament) ? 1 : tournament.advance;
+}
+
+/**
+ * Splits players into the next stage's tables.  The first stage is seeded
+ * at random; later stages keep the bracket, so each table is filled from
+ * the qualifiers of consecutive tables of the stage before.
+ *
+ * @param {object} tournament
+ * @param {string[]} ids – the players through to this stage, in bracket order
+ * @param {Object<string, string>} names – display names by player id
+ * @returns {object[]} the stage's tables, without rooms yet
+ */
+function addStage(tournament, ids, names) {
+  const order = tournament.stages.length === 0 ? shuffle(ids) : ids;
+  const tables = [];
+  for (let i = 0; i < order.length; i += TABLE_SIZE) {
+    const seats = order.slice(i, i + TABLE_SIZE);
+    const tableNames = {};
+    const scores = {};
+    seats.forEach(id => {
+      tableNames[id] = names[id];
+      scores[id] = 0;
+    });
+    tables.push({ room: null, seats, names: tableNames, scores, qualifiers: null, tieBreak: false });
+  }
+  tournament.stages.push(tables);
+  return tables;
+}
+
+/**
+ * Who goes through from a finished table.  Players are ranked by score;
+ * when the last qualifying place is shared with someone who would miss out
+ * (including a shared first place in the final) the result is a tie
+ * instead, to be settled by playing another round.
+ *
+ * @param {Object<string, number>} scores – final scores by player id
+ * @param {number} places – how many go through
+ * @returns {{ qualifiers: string[] }|{ tied: string[] }}
+ */
+function rankTable(scores, places) {
+  const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+  const cutoff = scores[ranked[places - 1]];
+  if (ranked.length > places && scores[ranked[places]] === cutoff) {
+    return { tied: ranked.filter(id => scores[id] === cutoff) };
+  }
+  return { qualifiers: ranked.slice(0, places) };
+}
+
+/**
+ * Who goes through from a table whose game was cut short: the best scores
+ * so far, with a tie going to whoever sits first.
+ *
+ * @param {Object<string, number>} scores – scores by player id, in seating order
+ * @param {number} places – how many go through
+ * @returns {string[]}
+ */
+function leaders(scores, places) {
+  return Object.keys(scores).sort((a, b) => scores[b] - scores[a]).slice(0, places);
+}
+
+/**
+ * Finds the table of the current stage played in a room.
+ *
+ * @param {object} tournament
+ * @param {string} roomCode
+ * @returns {object|undefined}
+ */
+function tableIn(tournament, roomCode) {
+  const stage = currentStage(tournament);
+  return stage && stage.find(table => table.room === roomCode);
+}
+
+/**
+ * Records a finished table.  Returns true once every table of the stage
+ * has finished.
+ *
+ * @param {object} tournament
+ * @param {object} table
+ * @param {string[]} qualifiers
+ * @returns {boolean}
+ */
+function finishTable(tournament, table, qualifiers) {
+  table.qualifiers = qualifiers;
+  table.tieBreak = false;
+  return currentStage(tournament).every(other => other.qualifiers);
+}
+
+/**
+ * The players through from the current stage, in bracket order.
+ *
+ * @param {object} tournament
+ * @returns {string[]}
+ */
+function stageQualifiers(tournament) {
+  return currentStage(tournament).reduce((ids, table) => ids.concat(table.qualifiers), []);
+}
+
+/**
+ * The bracket as everyone may see it.  Names are kept with each table, so
+ * the bracket still reads correctly after players leave.
+ *
+ * @param {object} tournament
+ * @param {Object<string, string>} entrantNames – names of the entrants by id
+ * @returns {object}
+ */
+function bracketView(tournament, entrantNames) {
+  return {
+    code: tournament.code,
+    name: tournament.name,
+    organizerId: tournament.organizerId,
+    advance: tournament.advance,
+    status: tournament.status,
+    entrants: tournament.entrants.map(id => ({ id, name: entrantNames[id] })),
+    stages: tournament.stages.map(tables => tables.map(table => ({
+      room: table.room,
+      players: table.seats.map(id => ({
+        id,
+        name: table.names[id],
+        score: table.scores[id],
+        qualified: Boolean(table.qualifiers && table.qualifiers.includes(id))
+      })),
+      finished: Boolean(table.qualifiers),
+      tieBreak: table.tieBreak
+    }))),
+    champions: tournament.champions.map(id => entrantNames[id] || id)
+  };
+}
+
+/**
+ * Lobby summary of every tournament that has not finished.
+ *
+ * @returns {Array<{ code: string, name: string, status: string, entrants: number, advance: number }>}
+ */
+function listTournaments() {
+  return Object.values(tournaments)
+    .filter(tournament => tournament.status !== 'finished')
+    .map(tournament => ({
+      code: tournament.code,
+      name: tournament.name,
+      status: tournament.status,
+      entrants: tournament.entrants.length,
+      advance: tournament.advance
+    }));
+}
+
+/**
+ * Name of the Socket.IO channel that receives a tournament's bracket.
+ *
+ * @param {object} tournament
+ * @returns {string}
+ */
+function channel(tournament) {
+  return `tournament:${tournament.code}`;
+}
+
+module.exports = {
+  TABLE_SIZE,
+  ADVANCE_OPTIONS,
+  MAX_ENTRANTS,
+  createTournament,
+  getTournament,
+  removeTournament,
+  ofRoom,
+  stageSizes,
+  isFinal,
+  currentStage,
+  placesAt,
+  addStage,
+  rankTable,
+  leaders,
+  tableIn,
+  finishTable,
+  stageQualifiers,
+  bracketView,
+  listTournaments,
+  channel
+};
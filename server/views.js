@@ -0,0 +1,53 @@
+/*
+ * Per‑recipient views of a table's state.
+ *
+ * Roles are secret while a round is being played: each player may only
+ * learn their own role plus the public Babu and Police, and in a team game
+ * their partner's.  Every scoreboard that leaves the server passes through
+ * here so a hidden role never reaches a browser before the round's result
+ * reveals it.
+ */
+
+// Roles that are announced to the whole table as soon as they are dealt.
+const PUBLIC_ROLES = ['Babu', 'Police'];
+
+/**
+ * Whether a viewer may see the role held by a given seat.
+ *
+ * @param {string} role – the seat's role
+ * @param {string} ownerId – player id of the seat
+ * @param {string|null} viewerId – player id of the recipient, or null for
+ *   someone who is not seated at the table
+ * @param {boolean} revealed – true once the round's result has been sent
+ * @param {boolean} [partner] – true when the seat is the viewer's teammate
+ * @returns {boolean}
+ */
+function canSeeRole(role, ownerId, viewerId, revealed, partner = false) {
+  return revealed || partner || ownerId === viewerId || PUBLIC_ROLES.includes(role);
+}
+
+/**
+ * Returns a copy of a scoreboard with every role the viewer may not see
+ * replaced by null.
+ *
+ * @param {Array<{ id: string, role: string, team: number|null }>} scoreboard – full scoreboard
+ * @param {string|null} viewerId – player id of the recipient
+ * @param {boolean} revealed – true once the round's result has been sent
+ * @returns {Array<object>}
+ */
+function scoreboardView(scoreboard, viewerId, revealed) {
+  const viewer = scoreboard.find(row => row.id === viewerId);
+  // Seats without a team (a game without teams) have no partner
+  const viewerTeam = viewer && Number.isInteger(viewer.team) ? viewer.team : null;
+  return scoreboard.map(row => Object.assign({}, row, {
+    role: canSeeRole(row.role, row.id, viewerId, revealed, viewerTeam !== null && row.team === viewerTeam)
+      ? row.role
+      : null
+  }));
+}
+
+module.exports = {
+  PUBLIC_ROLES,
+  canSeeRole,
+  scoreboardView
+};
@@ -0,0 +1,194 @@
+/*
+ * Tests for the game's state machine (server/game.js).
+ *
+ * Full games are played headlessly: seating, then shuffle → deal → guess
+ * for every round, scored with the table's rules and ended by its
+ * settings, exactly as server.js drives a table but without sockets.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const game = require('../server/game');
+const rules = require('../server/rules');
+const settings = require('../server/settings');
+const deal = require('../server/deal');
+
+const SEATS = ['p1', 'p2', 'p3', 'p4'];
+
+/**
+ * Applies an event that must be accepted.
+ *
+ * @param {object} current
+ * @param {string} event
+ * @param {object} [data]
+ * @returns {object} the new game
+ */
+function apply(current, event, data) {
+  const result = game.transition(current, event, data);
+  assert.equal(result.error, undefined, `${event} in ${current.phase} was refused`);
+  return result.game;
+}
+
+/**
+ * Applies an event that must be refused.
+ *
+ * @param {object} current
+ * @param {string} event
+ * @returns {string} the error code
+ */
+function refuse(current, event) {
+  const result = game.transition(current, event);
+  assert.ok(result.error, `${event} in ${current.phase} was accepted`);
+  assert.equal(result.error.event, event);
+  assert.equal(result.error.phase, current.phase);
+  return result.error.code;
+}
+
+/**
+ * Plays a whole game at one table: every round's roles are dealt from the
+ * game seed and nonce, the police accuses the first suspect and the
+ * table's settings decide when the game is over.
+ *
+ * @param {object} tableRules
+ * @param {object} tableSettings
+ * @param {string} seed
+ * @param {string} [nonce]
+ * @returns {{ game: object, scores: Object<string, number>, rounds: number }}
+ */
+function playGame(tableRules, tableSettings, seed, nonce = deal.createNonce()) {
+  const scores = {};
+  SEATS.forEach(id => { scores[id] = 0; });
+  let current = apply(game.createGame(), 'seat');
+  let rounds = 0;
+  while (current.phase !== 'gameOver') {
+    current = apply(current, 'shuffle');
+    assert.equal(current.phase, 'dealing');
+    const dealt = deal.dealRoles(rules.ROLES, deal.roundSeed(seed, current.round, nonce));
+    assert.deepEqual([...dealt].sort(), [...rules.ROLES].sort());
+    const roles = {};
+    SEATS.forEach((id, i) => { roles[id] = dealt[i]; });
+    current = apply(current, 'dealt');
+    assert.equal(current.phase, 'awaitingGuess');
+    const policeId = SEATS.find(id => roles[id] === 'Police');
+    const guessedId = SEATS.find(id => roles[id] === 'Chor' || roles[id] === 'Dakat');
+    const target = rules.guessTarget(tableRules, current.round);
+    const { gains } = rules.scoreRound(tableRules, { roles, target, policeId, guessedId });
+    SEATS.forEach(id => { scores[id] += gains[id]; });
+    const finished = settings.isFinished(tableSettings, current.round, SEATS.map(id => scores[id]));
+    current = apply(current, 'guess', { finished });
+    rounds += 1;
+    assert.ok(rounds <= tableSettings.maxRounds, 'the game ran past its last round');
+  }
+  return { game: current, scores, rounds };
+}
+
+test('a new game waits in the lobby', () => {
+  assert.deepEqual(game.createGame(), { phase: 'lobby', round: 0, paused: false, hostPaused: false });
+  assert.equal(game.isStarted(game.createGame()), false);
+});
+
+test('plays a full 10‑round game from seating to gameOver', () => {
+  const tableRules = rules.buildRules({ preset: 'classic' });
+  const { game: over, scores, rounds } = playGame(tableRules, settings.DEFAULT_SETTINGS, 'ten rounds');
+  assert.equal(settings.DEFAULT_SETTINGS.maxRounds, 10);
+  assert.equal(rounds, 10);
+  assert.equal(over.phase, 'gameOver');
+  assert.equal(over.round, 10);
+  // The Babu is paid every round, whoever the police accuses
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  assert.ok(total >= 10 * tableRules.points.Babu);
+});
+
+test('plays 10 rounds under every preset and with a seed replays the same scores', () => {
+  for (const preset of ['classic', 'traditional']) {
+    const tableRules = rules.buildRules({ preset });
+    const nonce = deal.createNonce();
+    const first = playGame(tableRules, settings.DEFAULT_SETTINGS, `${preset} seed`, nonce);
+    const again = playGame(tableRules, settings.DEFAULT_SETTINGS, `${preset} seed`, nonce);
+    assert.equal(first.rounds, 10);
+    assert.deepEqual(again.scores, first.scores);
+  }
+});
+
+test('a finished game can be restarted but not played on', () => {
+  const { game: over } = playGame(rules.buildRules(), settings.DEFAULT_SETTINGS, 'restart');
+  assert.equal(refuse(over, 'shuffle'), 'wrongPhase');
+  assert.equal(refuse(over, 'guess'), 'wrongPhase');
+  assert.equal(refuse(over, 'hostPause'), 'wrongPhase');
+  assert.deepEqual(apply(over, 'restart'), game.createGame());
+});
+
+test('refuses events in the wrong phase', () => {
+  const lobby = game.createGame();
+  assert.equal(refuse(lobby, 'shuffle'), 'wrongPhase');
+  assert.equal(refuse(lobby, 'guess'), 'wrongPhase');
+  assert.equal(refuse(lobby, 'abort'), 'wrongPhase');
+  assert.equal(refuse(lobby, 'pause'), 'wrongPhase');
+  const ready = apply(lobby, 'seat');
+  assert.equal(refuse(ready, 'seat'), 'wrongPhase');
+  assert.equal(refuse(ready, 'dealt'), 'wrongPhase');
+  assert.equal(refuse(ready, 'guess'), 'wrongPhase');
+  assert.equal(refuse(ready, 'restart'), 'wrongPhase');
+  const dealing = apply(ready, 'shuffle');
+  assert.equal(refuse(dealing, 'shuffle'), 'wrongPhase');
+  assert.equal(refuse(dealing, 'guess'), 'wrongPhase');
+  const awaiting = apply(dealing, 'dealt');
+  assert.equal(refuse(awaiting, 'shuffle'), 'wrongPhase');
+  assert.equal(refuse(awaiting, 'restart'), 'wrongPhase');
+  const resolved = apply(awaiting, 'guess', { finished: false });
+  assert.equal(refuse(resolved, 'guess'), 'wrongPhase');
+  assert.equal(refuse(resolved, 'cancel'), 'wrongPhase');
+});
+
+test('refuses unknown events', () => {
+  assert.equal(refuse(game.createGame(), 'deal'), 'unknownEvent');
+});
+
+test('refuses shuffles and guesses while paused', () => {
+  const ready = apply(game.createGame(), 'seat');
+  const paused = apply(ready, 'pause');
+  assert.equal(game.isPaused(paused), true);
+  assert.equal(refuse(paused, 'shuffle'), 'paused');
+  const awaiting = apply(apply(ready, 'shuffle'), 'dealt');
+  const hostPaused = apply(awaiting, 'hostPause');
+  assert.equal(refuse(hostPaused, 'guess'), 'paused');
+  // Seat changes still go through while paused
+  assert.equal(apply(hostPaused, 'cancel').phase, 'ready');
+  assert.equal(apply(apply(hostPaused, 'hostResume'), 'guess', { finished: false }).phase, 'roundResolved');
+  assert.equal(apply(apply(paused, 'resume'), 'shuffle').round, 1);
+});
+
+test('refuses pausing twice and resuming a game that is not paused', () => {
+  const ready = apply(game.createGame(), 'seat');
+  assert.equal(refuse(ready, 'hostResume'), 'notPaused');
+  const hostPaused = apply(ready, 'hostPause');
+  assert.equal(refuse(hostPaused, 'hostPause'), 'alreadyPaused');
+  assert.equal(refuse(apply(hostPaused, 'hostResume'), 'hostResume'), 'notPaused');
+});
+
+test('a cancelled round is dealt again with the same number', () => {
+  const first = apply(apply(apply(game.createGame(), 'seat'), 'shuffle'), 'dealt');
+  const voided = apply(first, 'cancel');
+  assert.deepEqual([voided.phase, voided.round], ['ready', 0]);
+  const second = apply(apply(apply(first, 'guess', { finished: false }), 'shuffle'), 'dealt');
+  const redeal = apply(second, 'cancel');
+  assert.deepEqual([redeal.phase, redeal.round], ['roundResolved', 1]);
+  assert.equal(apply(redeal, 'shuffle').round, 2);
+});
+
+test('aborting from any started phase returns to the lobby', () => {
+  const ready = apply(game.createGame(), 'seat');
+  const awaiting = apply(apply(ready, 'shuffle'), 'dealt');
+  for (const current of [ready, awaiting, apply(awaiting, 'hostPause')]) {
+    assert.deepEqual(apply(current, 'abort'), game.createGame());
+  }
+});
+
+test('never changes the game it is given', () => {
+  const ready = Object.freeze(apply(game.createGame(), 'seat'));
+  const dealing = apply(ready, 'shuffle');
+  assert.equal(ready.phase, 'ready');
+  assert.equal(dealing.round, 1);
+  assert.equal(game.canApply(ready, 'shuffle'), true);
+  assert.equal(game.canApply(ready, 'guess'), false);
+});
@@ -0,0 +1,400 @@
+/*
+ * Tests that a hidden role never leaves the server before the round's
+ * result reveals it (see server/views.js).
+ *
+ * A real server is started on a free port and played through Socket.IO
+ * clients.  Everything each client receives until the round's result is
+ * searched for scoreboard rows, wherever they appear (`rolesAssigned`,
+ * `spectate`, `resumed`, `tableState`, …), and every role found must be
+ * one the recipient may see: their own, the Babu's or the Police's, and
+ * in a team game their partner's.  A seeded game is checked the same
+ * way for anything that would let a player work out its deals early.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const { io } = require('socket.io-client');
+const { scoreboardView, PUBLIC_ROLES } = require('../server/views');
+const deal = require('../server/deal');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+/**
+ * A port nobody is listening on.
+ *
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts the game server with its files kept in a fresh temporary
+ * directory.
+ *
+ * @returns {Promise<{ url: string, stop: function(): Promise }>}
+ */
+async function startServer() {
+  const port = await freePort();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chor-game-'));
+  const child = spawn(process.execPath, [SERVER], {
+    env: Object.assign({}, process.env, {
+      PORT: String(port),
+      PROFILE_STORE: path.join(dir, 'profiles.json'),
+      REPLAY_DIR: path.join(dir, 'games'),
+      AUDIT_LOG: path.join(dir, 'audit.log')
+    }),
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('the server did not start')), 10000);
+    child.stdout.on('data', chunk => {
+      if (String(chunk).includes('listening')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', code => reject(new Error(`the server exited with ${code}`)));
+  });
+  return {
+    url: `http://localhost:${port}`,
+    async stop() {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      // The server saves its files as it exits, so they go after it
+      await exited;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Waits for the next `event` on a socket.
+ *
+ * @param {object} socket
+ * @param {string} event
+ * @returns {Promise<*>}
+ */
+function next(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${event}`)), 5000);
+    socket.once(event, data => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Emits an event and resolves with the server's acknowledgement.
+ */
+function ask(socket, event, ...args) {
+  return new Promise(resolve => socket.emit(event, ...args, resolve));
+}
+
+/**
+ * Connects a client that records every event it receives.
+ *
+ * @param {string} url
+ * @returns {object} the socket, with `received` listing [event, payload]
+ */
+function connect(url) {
+  const socket = io(url, { transports: ['websocket'], forceNew: true });
+  socket.received = [];
+  socket.onAny((event, payload) => socket.received.push([event, payload]));
+  return socket;
+}
+
+/**
+ * Connects and names a player.
+ *
+ * @param {string} url
+ * @param {string} name
+ * @returns {Promise<object>} the socket, with the player's `playerId` and
+ *   session `token`
+ */
+async function player(url, name) {
+  const socket = connect(url);
+  const session = next(socket, 'session');
+  const reply = await ask(socket, 'join', name);
+  assert.equal(reply.ok, true);
+  const { id, token } = await session;
+  return Object.assign(socket, { playerId: id, token });
+}
+
+/**
+ * Every scoreboard row ({ id, role }) anywhere in a payload.
+ *
+ * @param {*} value
+ * @param {object[]} [rows]
+ * @returns {object[]}
+ */
+function rowsIn(value, rows = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => rowsIn(item, rows));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.id === 'string' && 'role' in value) rows.push(value);
+    Object.values(value).forEach(item => rowsIn(item, rows));
+  }
+  return rows;
+}
+
+/**
+ * Asserts that nothing a client received before its first `roundResult`
+ * shows a role it may not see.  A spectator has no role of their own, so
+ * their own id allows nothing more.
+ *
+ * @param {object} socket
+ * @param {string|null} [partnerId] – the viewer's teammate
+ */
+function assertNoHiddenRoles(socket, partnerId = null) {
+  const viewerId = socket.playerId;
+  const revealedAt = socket.received.findIndex(([event]) => event === 'roundResult');
+  const before = revealedAt === -1 ? socket.received : socket.received.slice(0, revealedAt);
+  let seen = 0;
+  before.forEach(([event, payload]) => {
+    rowsIn(payload).forEach(row => {
+      if (!row.role) return;
+      seen += 1;
+      const allowed = row.id === viewerId || row.id === partnerId || PUBLIC_ROLES.includes(row.role);
+      assert.ok(allowed, `${event} showed ${row.id}'s ${row.role} to ${viewerId}`);
+    });
+  });
+  assert.ok(seen > 0, 'no roles were received at all');
+}
+
+/**
+ * The roles visible in a client's latest `rolesAssigned`.
+ *
+ * @param {object} socket
+ * @returns {Object<string, string>} role by player id
+ */
+function visibleRoles(socket) {
+  const dealt = socket.received.filter(([event]) => event === 'rolesAssigned').pop()[1];
+  const roles = {};
+  dealt.scoreboard.filter(row => row.role).forEach(row => { roles[row.id] = row.role; });
+  return roles;
+}
+
+/**
+ * Opens a table, seats four players and lets a spectator in.
+ *
+ * @param {string} url
+ * @param {object} [settings] – table settings the host sets first
+ * @returns {Promise<{ seated: object[], spectator: object, code: string }>}
+ */
+async function seatTable(url, settings) {
+  const host = await player(url, 'Asha');
+  const joined = next(host, 'roomJoined');
+  host.emit('createRoom', {});
+  const { code } = await joined;
+  if (settings) {
+    const updated = next(host, 'roomSettings');
+    host.emit('updateSettings', settings);
+    await updated;
+  }
+  const seated = [host];
+  for (const name of ['Bilal', 'Chandra', 'Deepa']) {
+    const socket = await player(url, name);
+    const entered = next(socket, 'roomJoined');
+    socket.emit('joinRoom', { code });
+    await entered;
+    seated.push(socket);
+  }
+  const spectator = await player(url, 'Esha');
+  const watching = next(spectator, 'roomJoined');
+  spectator.emit('joinRoom', { code });
+  await watching;
+  return { seated, spectator, code };
+}
+
+/**
+ * Deals a round and waits until everyone at the table has seen the police
+ * asked to guess.
+ *
+ * @param {object[]} seated
+ * @param {object[]} [watching] – spectators
+ * @returns {Promise<object>} the police's socket
+ */
+async function dealRound(seated, watching = []) {
+  const turns = seated.concat(watching).map(socket => next(socket, 'policeTurn'));
+  const reply = await ask(seated[0], 'shuffle');
+  assert.equal(reply.ok, true);
+  await Promise.all(turns);
+  return seated.find(socket => visibleRoles(socket)[socket.playerId] === 'Police');
+}
+
+/**
+ * Has the police accuse a suspect and waits for everyone to get the result.
+ *
+ * @param {object} police
+ * @param {object[]} everyone
+ */
+async function resolveRound(police, everyone) {
+  const results = everyone.map(socket => next(socket, 'roundResult'));
+  const turn = police.received.filter(([event]) => event === 'policeTurn').pop()[1];
+  const reply = await ask(police, 'guess', { id: turn.suspects[0].id });
+  assert.equal(reply.ok, true);
+  await Promise.all(results);
+}
+
+test('scoreboardView masks the roles the viewer may not see', () => {
+  const board = [
+    { id: 'a', role: 'Babu', team: 0 },
+    { id: 'b', role: 'Police', team: 1 },
+    { id: 'c', role: 'Chor', team: 0 },
+    { id: 'd', role: 'Dakat', team: 1 }
+  ];
+  const roles = view => view.map(row => row.role);
+  assert.deepEqual(roles(scoreboardView(board, null, false)), ['Babu', 'Police', null, null]);
+  assert.deepEqual(roles(scoreboardView(board, 'c', false)), ['Babu', 'Police', 'Chor', null]);
+  assert.deepEqual(roles(scoreboardView(board, 'b', false)), ['Babu', 'Police', null, 'Dakat']);
+  assert.deepEqual(roles(scoreboardView(board, null, true)), ['Babu', 'Police', 'Chor', 'Dakat']);
+  const solo = board.map(row => Object.assign({}, row, { team: null }));
+  assert.deepEqual(roles(scoreboardView(solo, 'a', false)), ['Babu', 'Police', null, null]);
+});
+
+test('hidden roles stay on the server until the round is revealed', async t => {
+  const server = await startServer();
+  const sockets = [];
+  t.after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await server.stop();
+  });
+  const { seated, spectator, code } = await seatTable(server.url);
+  sockets.push(...seated, spectator);
+  let late = null;
+
+  await t.test('rolesAssigned shows each seat only its own role and the public ones', async () => {
+    await dealRound(seated, [spectator]);
+    seated.forEach(socket => {
+      const roles = visibleRoles(socket);
+      const expected = new Set([socket.playerId]);
+      Object.keys(roles).forEach(id => {
+        if (PUBLIC_ROLES.includes(roles[id])) expected.add(id);
+      });
+      assert.deepEqual(Object.keys(roles).sort(), [...expected].sort());
+      assert.equal(Object.values(roles).filter(role => PUBLIC_ROLES.includes(role)).length, 2);
+    });
+    assert.deepEqual(Object.values(visibleRoles(spectator)).sort(), [...PUBLIC_ROLES].sort());
+  });
+
+  await t.test('a spectator arriving mid‑round gets the public view', async () => {
+    late = await player(server.url, 'Farid');
+    sockets.push(late);
+    const watching = next(late, 'spectate');
+    late.emit('joinRoom', { code });
+    const view = await watching;
+    assert.deepEqual(view.scoreboard.filter(row => row.role).map(row => row.role).sort(), [...PUBLIC_ROLES].sort());
+    assertNoHiddenRoles(late);
+  });
+
+  await t.test('a resumed seat gets its own role back and no other', async () => {
+    const dropped = seated[1];
+    dropped.disconnect();
+    await wait(100);
+    const again = Object.assign(connect(server.url), { playerId: dropped.playerId, token: dropped.token });
+    sockets.push(again);
+    const resumed = next(again, 'resumed');
+    again.emit('resume', { token: dropped.token });
+    const snapshot = await resumed;
+    assert.equal(snapshot.seated, true);
+    assert.equal(snapshot.role, visibleRoles(dropped)[dropped.playerId]);
+    assertNoHiddenRoles(again);
+    seated[1] = again;
+  });
+
+  await t.test('tableState after a seat changes hands hides the new deal', async () => {
+    // The host kicks a seated player and the first spectator takes the
+    // seat; the spectator still waiting is sent the public view
+    const resynced = [next(spectator, 'tableState'), next(late, 'tableState')];
+    const reply = await ask(seated[0], 'kickPlayer', { id: seated[3].playerId });
+    assert.equal(reply.ok, true);
+    const [taken, watching] = await Promise.all(resynced);
+    assert.equal(taken.seated, true);
+    assert.equal(watching.seated, false);
+    seated[3] = spectator;
+    const police = await dealRound(seated, [late]);
+    await resolveRound(police, seated);
+    sockets.forEach(socket => assertNoHiddenRoles(socket));
+  });
+
+  await t.test('roundResult reveals every role', () => {
+    seated.forEach(socket => {
+      const result = socket.received.find(([event]) => event === 'roundResult')[1];
+      assert.equal(result.scoreboard.filter(row => row.role).length, 4);
+    });
+  });
+});
+
+test('in a team game only a partner\'s role is shared', async t => {
+  const server = await startServer();
+  const sockets = [];
+  t.after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await server.stop();
+  });
+  const { seated, spectator } = await seatTable(server.url, { teams: true });
+  sockets.push(...seated, spectator);
+  const police = await dealRound(seated, [spectator]);
+  const board = seated[0].received.filter(([event]) => event === 'rolesAssigned').pop()[1].scoreboard;
+  const partnerOf = id => {
+    const team = board.find(row => row.id === id).team;
+    return board.find(row => row.id !== id && row.team === team).id;
+  };
+  seated.forEach(socket => {
+    const partnerId = partnerOf(socket.playerId);
+    const roles = visibleRoles(socket);
+    assert.equal(roles[partnerId] !== undefined, true, 'the partner\'s role is missing');
+    Object.keys(roles).forEach(id => {
+      assert.ok(id === socket.playerId || id === partnerId || PUBLIC_ROLES.includes(roles[id]));
+    });
+    assertNoHiddenRoles(socket, partnerId);
+  });
+  assertNoHiddenRoles(spectator);
+  await resolveRound(police, seated);
+});
+
+test('a seeded game\'s deals cannot be worked out before it is over', async t => {
+  const server = await startServer();
+  const sockets = [];
+  t.after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await server.stop();
+  });
+  const gameSeed = 'easy';
+  const { seated, spectator } = await seatTable(server.url, { seed: gameSeed, maxRounds: 1 });
+  sockets.push(...seated, spectator);
+  const police = await dealRound(seated, [spectator]);
+  const over = seated.concat(spectator).map(socket => next(socket, 'gameOver'));
+  await resolveRound(police, seated);
+  const { seed } = seated[0].received.find(([event]) => event === 'roundResult')[1];
+  // The game seed alone, as its host or a guesser would try it, misses
+  assert.notEqual(seed, deal.roundSeed(gameSeed, 1, ''));
+  assert.notEqual(seed, crypto.createHash('sha256').update(`${gameSeed}:round:1`).digest('hex'));
+  const [result] = await Promise.all(over);
+  assert.equal(result.gameSeed, gameSeed);
+  assert.equal(deal.roundSeed(result.gameSeed, 1, result.seedNonce), seed);
+  // Neither the game seed nor the nonce reached anyone before the end
+  sockets.forEach(socket => {
+    const before = socket.received.slice(0, socket.received.findIndex(([event]) => event === 'gameOver'));
+    const sent = JSON.stringify(before);
+    assert.ok(!sent.includes(result.seedNonce), 'the nonce was sent before the game was over');
+    assert.ok(!sent.includes(`"${gameSeed}"`), 'the game seed was sent before the game was over');
+  });
+});